@@ -0,0 +1,85 @@
+const fs = require('fs');
+
+// Capture files are newline-delimited JSON. The first line is a header record
+// describing the connection, followed by one record per packet:
+//
+// { type: 'header', version, startTime, metadata: { protocolVersion, majorPatchVersion, minorPatchVersion, platform, maps } }
+// { type: 'packet', time, incoming, fake, modified, silenced, before, after }
+//
+// `time` is in milliseconds relative to `startTime`. `before` and `after` are
+// the hex-encoded decrypted frames before and after running through hooks,
+// `after` is null if the packet was silenced.
+const FORMAT_VERSION = 1;
+const METADATA_KEYS = ['protocolVersion', 'majorPatchVersion', 'minorPatchVersion', 'platform', 'maps'];
+
+function serializeHeader(metadata, startTime) {
+    const meta = {};
+    for (const key of METADATA_KEYS) {
+        if (metadata[key] !== undefined)
+            meta[key] = metadata[key];
+    }
+
+    return JSON.stringify({ type: 'header', version: FORMAT_VERSION, startTime, metadata: meta }) + '\n';
+}
+
+function serializePacket(time, before, after, incoming, fake) {
+    return JSON.stringify({
+        type: 'packet',
+        time,
+        incoming,
+        fake,
+        modified: after !== false && !after.equals(before),
+        silenced: after === false,
+        before: before.toString('hex'),
+        after: after !== false ? after.toString('hex') : null,
+    }) + '\n';
+}
+
+function parseCapture(text) {
+    let header = null;
+    const packets = [];
+
+    text.split('\n').forEach((line, index) => {
+        if (!line.trim())
+            return;
+
+        let record;
+        try {
+            record = JSON.parse(line);
+        } catch (e) {
+            throw Error(`[capture] parse: invalid record on line ${index + 1}: ${e.message}`);
+        }
+
+        switch (record.type) {
+            case 'header': {
+                if (record.version !== FORMAT_VERSION)
+                    throw Error(`[capture] parse: unsupported capture version ${record.version}`);
+                header = record;
+                break;
+            }
+
+            case 'packet': {
+                packets.push(Object.assign(record, {
+                    before: Buffer.from(record.before, 'hex'),
+                    after: record.after !== null ? Buffer.from(record.after, 'hex') : false,
+                }));
+                break;
+            }
+
+            default: {
+                throw Error(`[capture] parse: unknown record type "${record.type}" on line ${index + 1}`);
+            }
+        }
+    });
+
+    if (!header)
+        throw Error('[capture] parse: missing header');
+
+    return { header, packets };
+}
+
+function readCapture(file) {
+    return parseCapture(fs.readFileSync(file, 'utf8'));
+}
+
+module.exports = { FORMAT_VERSION, serializeHeader, serializePacket, parseCapture, readCapture };
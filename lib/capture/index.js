@@ -0,0 +1,6 @@
+const CaptureRecorder = require('./recorder');
+const CaptureReplay = require('./replay');
+const { StreamDecoder, decodeStreams } = require('./streamDecoder');
+const { parseCapture, readCapture } = require('./format');
+
+module.exports = { CaptureRecorder, CaptureReplay, StreamDecoder, decodeStreams, parseCapture, readCapture };
@@ -0,0 +1,44 @@
+const fs = require('fs');
+const { serializeHeader, serializePacket } = require('./format');
+const log = require('../logger');
+
+class CaptureRecorder {
+    constructor(output, metadata = {}) {
+        this.stream = typeof output === 'string' ? fs.createWriteStream(output) : output;
+        this.ownsStream = typeof output === 'string';
+        this.startTime = Date.now();
+        this.count = 0;
+
+        // A failing capture (e.g. a full disk) must not take the connection down with it
+        const { stream } = this;
+        stream.on('error', (e) => {
+            log.error({ error: e.message }, '[capture] failed to write capture, stopping it');
+            if (this.stream === stream)
+                this.stream = null;
+            if (this.ownsStream)
+                stream.destroy();
+        });
+
+        this.stream.write(serializeHeader(metadata, this.startTime));
+    }
+
+    // Must be called before the frames are sent, since sending encrypts them in-place.
+    record(before, after, incoming, fake = false) {
+        if (!this.stream)
+            return;
+
+        this.stream.write(serializePacket(Date.now() - this.startTime, before, after, incoming, fake));
+        this.count++;
+    }
+
+    close() {
+        if (!this.stream)
+            return;
+
+        if (this.ownsStream)
+            this.stream.end();
+        this.stream = null;
+    }
+}
+
+module.exports = CaptureRecorder;
@@ -0,0 +1,115 @@
+const Dispatch = require('../connection/dispatch');
+const { readCapture } = require('./format');
+
+function delay(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// Stands in for a Connection: there is no socket, everything sent through it
+// is collected by the replay instead.
+class ReplayConnection {
+    constructor(replay, metadata) {
+        this.replay = replay;
+        this.metadata = metadata;
+        this.state = 2;
+        this.recorder = null;
+        this.dispatch = new Dispatch(this);
+    }
+
+    sendClient(data) {
+        this.replay.collect(data, true, true);
+    }
+
+    sendServer(data) {
+        this.replay.collect(data, false, true);
+    }
+
+    close() {
+        this.state = 3;
+
+        if (this.dispatch) {
+            this.dispatch.destructor();
+            this.dispatch = null;
+        }
+    }
+}
+
+class CaptureReplay {
+    constructor(capture, metadata = {}) {
+        if (typeof capture === 'string')
+            capture = readCapture(capture);
+
+        this.capture = capture;
+        this.connection = new ReplayConnection(this, Object.assign({}, capture.header.metadata, metadata));
+        this.output = [];
+        this.time = 0;
+        this.startTime = null;
+        this.realtime = false;
+        this.pending = null;
+    }
+
+    get dispatch() { return this.connection.dispatch; }
+
+    now() {
+        return this.realtime ? Date.now() - this.startTime : this.time;
+    }
+
+    collect(data, incoming, fake) {
+        this.output.push({
+            time: this.now(),
+            incoming,
+            fake,
+            // connections encrypt in-place, so keep a copy like they would see it
+            data: data !== false ? Buffer.from(data) : false,
+        });
+    }
+
+    // Feeds all real (non-fake) packets of the capture through Dispatch#receive(),
+    // waiting for async hooks to release each packet before the next one is fed.
+    // Packets which were injected by modules during the recording are skipped,
+    // since the modules under test are expected to generate them again.
+    async run({ realtime = false, speed = 1 } = {}) {
+        this.realtime = realtime;
+        this.startTime = Date.now();
+
+        for (const packet of this.capture.packets) {
+            if (packet.fake)
+                continue;
+
+            if (realtime) {
+                const wait = packet.time / speed - (Date.now() - this.startTime);
+                if (wait > 0)
+                    await delay(wait);
+            }
+
+            if (!this.dispatch)
+                break;
+
+            this.time = packet.time;
+            const data = await new Promise((resolve) => {
+                this.pending = resolve;
+                this.dispatch.receive(Buffer.from(packet.before), packet.incoming, false, resolve);
+            });
+            this.pending = null;
+
+            // closed while the packet was held
+            if (data === null)
+                break;
+
+            this.collect(data, packet.incoming, false);
+        }
+
+        return this.output;
+    }
+
+    close() {
+        this.connection.close();
+
+        if (this.pending) {
+            this.pending(null);
+            this.pending = null;
+        }
+    }
+}
+
+module.exports = CaptureReplay;
@@ -0,0 +1,124 @@
+const events = require('events');
+const Dispatch = require('../connection/dispatch');
+const Encryption = require('../connection/encryption');
+const { getPlatform } = require('../platforms');
+
+// Decodes raw TCP byte streams of a TERA session (without proxy in between).
+// The server stream starts with a 4-byte hello followed by the two server keys,
+// the client stream starts with the two client keys; everything afterwards is
+// encrypted traffic. Both streams can be fed in arbitrarily sized chunks.
+class StreamDecoder extends events.EventEmitter {
+    constructor(metadata) {
+        super();
+        this.metadata = metadata;
+        this.platform = getPlatform(metadata.platform);
+        this.session = new Encryption(metadata.protocolVersion, metadata.majorPatchVersion, this.platform.getCryptoConstants(metadata.majorPatchVersion));
+        this.dispatch = new Dispatch(this);
+        this.encrypted = false;
+
+        this.server = { incoming: true, handshakeSize: 4 + 2 * 128, handshake: Buffer.alloc(0), pending: [], buffer: new this.platform.PacketBuffer() };
+        this.client = { incoming: false, handshakeSize: 2 * 128, handshake: Buffer.alloc(0), pending: [], buffer: new this.platform.PacketBuffer() };
+    }
+
+    writeServer(data) {
+        this.write(this.server, data);
+    }
+
+    writeClient(data) {
+        this.write(this.client, data);
+    }
+
+    write(stream, data) {
+        if (stream.handshake) {
+            stream.handshake = Buffer.concat([stream.handshake, data]);
+            if (stream.handshake.length < stream.handshakeSize)
+                return;
+
+            data = stream.handshake.slice(stream.handshakeSize);
+            this.readKeys(stream, stream.handshake.slice(0, stream.handshakeSize));
+            stream.handshake = null;
+
+            if (!this.encrypted && !this.server.handshake && !this.client.handshake) {
+                this.session.init();
+                this.encrypted = true;
+
+                for (const other of [this.server, this.client]) {
+                    for (const chunk of other.pending)
+                        this.decode(other, chunk);
+                    other.pending = null;
+                }
+            }
+
+            if (data.length === 0)
+                return;
+        }
+
+        if (!this.encrypted) {
+            stream.pending.push(Buffer.from(data));
+            return;
+        }
+
+        this.decode(stream, Buffer.from(data));
+    }
+
+    readKeys(stream, handshake) {
+        if (stream.incoming) {
+            if (handshake.readUInt32LE(0) !== this.platform.handshake.hello)
+                throw Error('[capture] decode: server stream does not start with a hello');
+
+            handshake.copy(this.session.serverKeys[0], 0, 4, 4 + 128);
+            handshake.copy(this.session.serverKeys[1], 0, 4 + 128);
+        } else {
+            handshake.copy(this.session.clientKeys[0], 0, 0, 128);
+            handshake.copy(this.session.clientKeys[1], 0, 128);
+        }
+    }
+
+    decode(stream, data) {
+        if (stream.incoming)
+            this.session.applyFromServer(data);
+        else
+            this.session.applyFromClient(data);
+
+        stream.buffer.write(data);
+
+        // eslint-disable-next-line no-cond-assign
+        while (data = stream.buffer.read())
+            this.emit('packet', this.parse(data, stream.incoming));
+    }
+
+    parse(data, incoming) {
+        const code = data.readUInt16LE(2);
+        const name = this.dispatch.protocolMap.code.get(code) || null;
+        const packet = { incoming, code, name, data, event: null, error: null };
+
+        if (name) {
+            try {
+                packet.event = this.dispatch.fromRaw(name, '*', data);
+            } catch (e) {
+                packet.error = e;
+            }
+        }
+
+        return packet;
+    }
+}
+
+// Decodes two complete streams at once. Since the relative timing between both
+// directions is unknown, all server packets are returned before all client packets.
+function decodeStreams(serverData, clientData, metadata) {
+    const decoder = new StreamDecoder(metadata);
+    const packets = [];
+    decoder.on('packet', packet => packets.push(packet));
+
+    decoder.writeServer(serverData);
+    decoder.writeClient(clientData);
+
+    if (!decoder.encrypted)
+        throw Error('[capture] decode: incomplete handshake');
+
+    packets.sort((a, b) => b.incoming - a.incoming);
+    return packets;
+}
+
+module.exports = { StreamDecoder, decodeStreams };
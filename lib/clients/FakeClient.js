@@ -1,8 +1,15 @@
 const crypto = require('crypto');
 const events = require('events');
 
+const DEFAULT_RECONNECT = {
+  maxAttempts: 5,
+  delay: 1000,
+  maxDelay: 30000,
+  factor: 2,
+};
+
 class FakeClient extends events.EventEmitter {
-  constructor(connection, keys) {
+  constructor(connection, keys, options = {}) {
     super();
     this.connection = connection;
     this.connected = false;
@@ -12,6 +19,7 @@ class FakeClient extends events.EventEmitter {
         crypto.randomBytes(128),
         crypto.randomBytes(128),
       ];
+      this.randomKeys = true;
     } else {
       if (!Array.isArray(keys)) throw new Error('"keys" must be an array');
       if (keys.length !== 2) throw new Error('client must provide two keys');
@@ -20,9 +28,32 @@ class FakeClient extends events.EventEmitter {
           throw new Error('keys must be 128 bytes');
         }
       });
+      this.randomKeys = false;
     }
 
     this.keys = keys;
+
+    this.reconnectPolicy = options.reconnect
+      ? Object.assign({}, DEFAULT_RECONNECT, options.reconnect === true ? {} : options.reconnect)
+      : null;
+    this.login = options.login || null;
+    this.attempts = 0;
+    this.reconnecting = false;
+    this.reconnectTimer = null;
+    this.holdingQueue = false;
+  }
+
+  // scheduled packets for the server wait until the login of the session is done
+  holdQueue() {
+    if (this.holdingQueue) return;
+    this.holdingQueue = true;
+    this.connection.dispatch.sendQueues.server.pause();
+  }
+
+  releaseQueue(connection) {
+    if (!this.holdingQueue) return;
+    this.holdingQueue = false;
+    connection.dispatch.sendQueues.server.resume();
   }
 
   onConnect(serverConnection) {
@@ -30,8 +61,9 @@ class FakeClient extends events.EventEmitter {
       this.emit('timeout');
     });
 
+    // the connection logs and closes on socket errors; an unhandled 'error' would end the process
     serverConnection.on('error', (err) => {
-      this.emit('error', err);
+      if (this.listenerCount('error') > 0) this.emit('error', err);
     });
   }
 
@@ -48,7 +80,9 @@ class FakeClient extends events.EventEmitter {
       case 2: {
         if (!this.connected) {
           this.connected = true;
-          this.emit('connect');
+          this.holdQueue();
+          if (!this.reconnecting) this.emit('connect');
+          this.runLogin();
         }
         break;
       }
@@ -59,12 +93,70 @@ class FakeClient extends events.EventEmitter {
     }
   }
 
+  runLogin() {
+    const { connection } = this;
+    const login = this.login ? Promise.resolve().then(() => this.login(connection.dispatch)) : Promise.resolve();
+
+    login.then(() => {
+      if (this.connection !== connection || !this.connected) return;
+
+      this.attempts = 0;
+      this.releaseQueue(connection);
+      if (this.reconnecting) {
+        this.reconnecting = false;
+        this.emit('reconnected');
+      }
+    }, (err) => {
+      if (this.connection !== connection || !this.connected) return;
+
+      // treat a failed login like a lost connection
+      this.emit('loginError', err);
+      if (connection.serverConnection) connection.serverConnection.destroy();
+    });
+  }
+
+  // called by the connection when the server connection was lost;
+  // returning true keeps the connection (and its modules) alive
+  onServerClose(reason) {
+    const policy = this.reconnectPolicy;
+    if (!policy || !this.connection) return false;
+    if (this.attempts >= policy.maxAttempts) return false;
+
+    const delay = Math.min(policy.delay * (policy.factor ** this.attempts), policy.maxDelay);
+    this.attempts += 1;
+    this.connected = false;
+    this.holdQueue();
+    this.reconnecting = true;
+    this.emit('reconnecting', { attempt: this.attempts, delay, reason });
+
+    this.reconnectTimer = setTimeout(() => {
+      this.reconnectTimer = null;
+      if (!this.connection) return;
+
+      if (this.randomKeys) {
+        this.keys = [
+          crypto.randomBytes(128),
+          crypto.randomBytes(128),
+        ];
+      }
+
+      this.connection.reconnect();
+    }, delay);
+
+    return true;
+  }
+
   close() {
+    if (this.reconnectTimer) {
+      clearTimeout(this.reconnectTimer);
+      this.reconnectTimer = null;
+    }
+
     const { connection } = this;
     if (connection) {
       this.emit('close');
       this.connection = null; // prevent infinite recursion
-      connection.close();
+      connection.close('client closed');
     }
 
     this.keys = null;
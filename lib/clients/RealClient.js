@@ -1,13 +1,14 @@
+const log = require('../logger');
+
 class RealClient {
     constructor(connection, socket) {
         this.connection = connection;
         this.socket = socket;
         this.session = null;
 
-        const bufferType = this.connection.metadata.platform === 'ps4' ? require('../packetBufferPS4') : require('../packetBuffer');
-        this.buffer = new bufferType();
-
-        this.builder = this.connection.metadata.platform === 'ps4' ? require('../packetBuilderPS4') : require('../packetBuilder');
+        const { platform } = this.connection;
+        this.buffer = new platform.PacketBuffer();
+        this.builder = platform.PacketBuilder;
 
         socket.on('data', (data) => {
             if (!this.connection) return;
@@ -28,17 +29,36 @@ class RealClient {
 
                 case 2: {
                     this.session.applyFromClient(data);
-                    this.buffer.write(data);
+
+                    try {
+                        this.buffer.write(data);
+                    } catch (e) {
+                        log.error(`[client] malformed data from client: ${e.message}`);
+                        this.close(`protocol error: ${e.message}`);
+                        return;
+                    }
 
                     const { dispatch } = this.connection;
 
                     // eslint-disable-next-line no-cond-assign
                     while (data = this.buffer.read()) {
-                        if (dispatch)
-                            data = dispatch.handle(data, false);
+                        const original = data;
+                        const deliver = (result) => {
+                            const { connection } = this;
+                            if (!connection)
+                                return;
 
-                        if (data)
-                            this.connection.sendServer(data);
+                            if (connection.recorder)
+                                connection.recorder.record(original, result, false);
+
+                            if (result)
+                                connection.sendServer(result);
+                        };
+
+                        if (dispatch)
+                            dispatch.receive(data, false, false, deliver);
+                        else
+                            deliver(data);
                     }
 
                     break;
@@ -51,9 +71,14 @@ class RealClient {
             }
         });
 
+        socket.on('error', (err) => {
+            log.warn(`[client] socket error: ${err.message}`);
+            this.close(`client error: ${err.message}`);
+        });
+
         socket.on('close', () => {
             this.socket = null;
-            this.close();
+            this.close('client disconnected');
         });
     }
 
@@ -78,7 +103,7 @@ class RealClient {
             this.socket.write(data);
     }
 
-    close() {
+    close(reason = 'client closed') {
         if (this.socket) {
             this.socket.end();
             this.socket.unref();
@@ -88,7 +113,7 @@ class RealClient {
         const { connection } = this;
         if (connection) {
             this.connection = null; // prevent infinite recursion
-            connection.close();
+            connection.onClientClose(this, reason);
         }
 
         this.session = null;
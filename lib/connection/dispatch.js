@@ -1,10 +1,57 @@
+const events = require('events')
 const path = require('path')
 const util = require('util')
 const binarySearch = require('binary-search')
 const { protocol } = require('tera-data-parser')
 const { hasPadding } = require('./integrity');
+const Module = require('./module');
+const Profiler = require('./profiler');
+const { SendQueue, CancelToken } = require('./sendQueue');
+const { createEventView, resolveEvent } = require('./eventView');
 const log = require('../logger')
 
+// Default thresholds for disabling hooks which keep throwing
+const DEFAULT_ERROR_POLICY = {
+    maxErrors: 10,
+    interval: 60000,
+    disableModule: false,
+};
+
+function isThenable(value) {
+    return value !== null && (typeof value === 'object' || typeof value === 'function') && typeof value.then === 'function'
+}
+
+function fieldEquals(actual, expected) {
+    if (typeof actual === 'bigint' || typeof expected === 'bigint') {
+        try {
+            return BigInt(actual) === BigInt(expected)
+        } catch (e) {
+            return false
+        }
+    }
+
+    return actual === expected
+}
+
+// Checks a parsed event against a declarative `filter.fields` object: functions are called as
+// predicates with the field's value, nested objects are matched recursively, anything else is compared
+function matchFields(event, fields) {
+    for (const key of Object.keys(fields)) {
+        const expected = fields[key]
+        const actual = event[key]
+
+        if (typeof expected === 'function') {
+            if (!expected(actual, event)) return false
+        } else if (expected !== null && typeof expected === 'object') {
+            if (actual === null || typeof actual !== 'object' || !matchFields(actual, expected)) return false
+        } else if (!fieldEquals(actual, expected)) {
+            return false
+        }
+    }
+
+    return true
+}
+
 function* iterateHooks(globalHooks = [], codeHooks = []) {
     const globalHooksIterator = globalHooks[Symbol.iterator](); // .values()
     const codeHooksIterator = codeHooks[Symbol.iterator](); // .values()
@@ -26,6 +73,75 @@ function* iterateHooks(globalHooks = [], codeHooks = []) {
     }
 }
 
+// Finds a cycle among the hooks which are not done yet. Each of them still has a
+// predecessor that is not done either, so walking backwards has to loop eventually.
+function findCycle(edges, done) {
+    const predecessors = edges.map(() => [])
+    edges.forEach((targets, from) => {
+        if (!done[from])
+            for (const to of targets) predecessors[to].push(from)
+    })
+
+    const trail = new Map()
+    let current = done.indexOf(false)
+    while (!trail.has(current)) {
+        trail.set(current, trail.size)
+        current = predecessors[current][0]
+    }
+
+    return [...trail.keys()].slice(trail.get(current))
+}
+
+// Applies the `before`/`after` module constraints of the hooks on top of the
+// numeric order they were given in. Hooks are picked in a stable topological
+// order, so hooks without constraints keep their relative numeric order.
+// Cycles are reported once each; `reportedCycles` keeps track of them.
+function resolveHookOrder(hooks, reportedCycles) {
+    if (!hooks.some(hook => hook.before.length > 0 || hook.after.length > 0))
+        return hooks
+
+    const edges = hooks.map(() => new Set())
+    const incoming = hooks.map(() => 0)
+    const addEdge = (from, to) => {
+        if (!edges[from].has(to)) {
+            edges[from].add(to)
+            incoming[to]++
+        }
+    }
+
+    hooks.forEach((hook, i) => {
+        hooks.forEach((other, j) => {
+            if (hook.moduleName === other.moduleName) return
+            if (hook.before.includes(other.moduleName)) addEdge(i, j)
+            if (hook.after.includes(other.moduleName)) addEdge(j, i)
+        })
+    })
+
+    const result = []
+    const done = hooks.map(() => false)
+    while (result.length < hooks.length) {
+        let next = hooks.findIndex((hook, i) => !done[i] && incoming[i] === 0)
+        if (next === -1) {
+            // Cycle: break it at the remaining hook that comes first in numeric order
+            const modules = [...new Set(findCycle(edges, done).map(i => hooks[i].moduleName || '<unknown>'))].sort()
+            const key = modules.join('\n')
+            if (!reportedCycles.has(key)) {
+                reportedCycles.add(key)
+                log.warn(`[dispatch] hook: cyclic before/after constraints between modules ${modules.join(', ')}, falling back to numeric order`)
+            }
+
+            next = done.indexOf(false)
+        }
+
+        done[next] = true
+        result.push(hooks[next])
+        for (const to of edges[next])
+            incoming[to]--
+    }
+
+    return result
+}
+
 function getHookName(hook) {
     const callbackName = hook.callback ? (hook.callback.name || '(anonymous)') : '<unknown>'
     const moduleName = hook.moduleName || '<unknown>'
@@ -89,8 +205,9 @@ function errStack(err = new Error(), removeFront = true) {
 
 // -----------------------------------------------------------------------------
 
-class Dispatch {
+class Dispatch extends events.EventEmitter {
     constructor(connection) {
+        super();
         this.connection = connection;
 
         // Initialize protocol maps
@@ -100,7 +217,7 @@ class Dispatch {
             padding: (new Array(0x10000)).fill(false),
         };
         
-        Object.keys(this.connection.metadata.maps.protocol).forEach(name => this.addOpcode(name, this.connection.metadata.maps.protocol[name], hasPadding(this.connection.metadata.protocolVersion, name)));
+        Object.keys(this.connection.metadata.maps.protocol).forEach(name => this.addOpcode(name, this.connection.metadata.maps.protocol[name]));
 
         // Initialize sysmsg maps
         this.sysmsgMap = {
@@ -129,16 +246,104 @@ class Dispatch {
         // { <code>:
         //	 [ { <order>
         //		 , hooks:
-        //			 [ { <name>, <code>, <definitionVersion>, <filter>, <order>, <moduleName>, <callback>, <resolvedIdentifier> }
+        //			 [ { <name>, <code>, <definitionVersion>, <filter>, <order>, <before>, <after>, <moduleName>, <callback>, <resolvedIdentifier> }
         //			 ]
         //		 }
         //	 ]
         // }
         this.hooks = new Map();
+
+        // Resolved hook order per opcode, including global hooks
+        // hookOrder: { <code>: [ <hook> ] }
+        this.hookOrder = new Map();
+
+        // Modules of before/after cycles which were already warned about
+        this.hookCycles = new Set();
+
+        // Initialize modules
+        // modules: { <name>: <Module> }
+        this.modules = new Map();
+
+        // Pending waitFor() promises
+        // waiters: [ { <moduleName>, <hook>, <timer>, <reject> } ]
+        this.waiters = new Set();
+
+        // Tail of the pending request() chain per outgoing packet name
+        this.requestQueues = new Map();
+
+        // Error counts of failing hooks within the current policy interval
+        // hookErrors: { <hook>: { <count>, <since> } }
+        this.hookErrors = new Map();
+
+        // Hooks disabled by the error policy
+        // disabledHooks: { <hook>: { <hook>, <moduleName>, <name>, <version>, <errors>, <error>, <time> } }
+        this.disabledHooks = new Map();
+        this.errorPolicy = Object.assign({}, DEFAULT_ERROR_POLICY);
+
+        // Packets waiting for async hooks
+        // heldPackets: [ { <state>, <timer> } ]
+        this.heldPackets = new Set();
+        this.asyncHookTimeout = 5000;
+
+        // Real packets per direction in the order they have to be delivered in
+        this.incomingQueue = [];
+        this.outgoingQueue = [];
+
+        // Scheduled packets injected by modules
+        this.sendQueues = {
+            server: new SendQueue(this, true),
+            client: new SendQueue(this, false),
+        };
+
+        // Opt-in hook timing, see enableProfiler()
+        this.profiler = null;
+
+        // Loggers for hooks added without a loaded module, see getModuleLog()
+        this.moduleLogs = new Map();
+
+        // Context shared with other connections, set by ProxyServer
+        this.global = null;
+
+        this.closed = false;
     }
 
     destructor() {
+        this.closed = true;
+        this.rejectWaiters(null, 'connection closed');
+        this.requestQueues.clear();
+        this.sendQueues.server.destructor();
+        this.sendQueues.client.destructor();
+        this.dropHeldPackets();
+        this.disableProfiler();
+        this.reset();
+        this.removeAllListeners();
+    }
+
+    reset() {
+        for (const name of [...this.modules.keys()])
+            this.unload(name);
+
+        this.modules.clear();
         this.hooks.clear();
+        this.hookOrder.clear();
+        this.hookCycles.clear();
+        this.hookErrors.clear();
+        this.disabledHooks.clear();
+    }
+
+    // Forwards connection events to modules; errors are only emitted if someone listens for them
+    emitEvent(event, ...args) {
+        if (event === 'error' && this.listenerCount('error') === 0)
+            return;
+
+        try {
+            this.emit(event, ...args);
+        } catch (e) {
+            log.error({
+                error: e.message,
+                stack: errStack(e),
+            }, `[dispatch] error running listener for "${event}" event`);
+        }
     }
 
     get protocolVersion() { return this.connection.metadata.protocolVersion; }
@@ -193,6 +398,93 @@ class Dispatch {
         return this.protocol.resolveIdentifier(name, definitionVersion);
     }
 
+    // Module management
+    load(name, from = module, ...args) {
+        const loaded = this.modules.get(name);
+        if (loaded)
+            return loaded.instance;
+
+        const wrapper = new Module(this, name);
+
+        try {
+            const mod = from.require(name);
+            wrapper.instance = new mod(wrapper, ...args);
+        } catch (e) {
+            wrapper.log.error({
+                module: name,
+                error: e.message,
+                stack: errStack(e),
+            }, `[dispatch] load: error initializing module "${name}"`);
+
+            // Remove whatever the module managed to set up before it failed
+            this.cleanupModule(wrapper, 'module failed to load');
+            return null;
+        }
+
+        this.modules.set(name, wrapper);
+        return wrapper.instance;
+    }
+
+    // Removes the hooks, waiters, scheduled packets and listeners of a module
+    cleanupModule(wrapper, reason) {
+        const { name } = wrapper;
+
+        this.unhookModule(name);
+        for (const hook of this.disabledHooks.keys()) {
+            if (hook.moduleName === name)
+                this.disabledHooks.delete(hook);
+        }
+        this.rejectWaiters(name, reason);
+        this.sendQueues.server.clear(name);
+        this.sendQueues.client.clear(name);
+        wrapper.removeAllListeners();
+    }
+
+    unload(name) {
+        const wrapper = this.modules.get(name);
+        if (!wrapper) {
+            log.warn(`[dispatch] unload: cannot unload non-loaded module "${name}"`);
+            return false;
+        }
+
+        this.modules.delete(name);
+        this.cleanupModule(wrapper, 'module unloaded');
+
+        const { instance } = wrapper;
+        if (instance && typeof instance.destructor === 'function') {
+            try {
+                instance.destructor();
+            } catch (e) {
+                wrapper.log.error({
+                    module: name,
+                    error: e.message,
+                    stack: errStack(e),
+                }, `[dispatch] unload: error running destructor of module "${name}"`);
+            }
+        }
+
+        return true;
+    }
+
+    reload(name, from = module, ...args) {
+        if (this.modules.has(name))
+            this.unload(name);
+
+        // Make sure that we get a fresh copy of the module's code
+        try {
+            const resolved = from.require.resolve(name);
+            delete require.cache[resolved];
+        } catch (e) {
+            // Ignore - load() will report the error
+        }
+
+        return this.load(name, from, ...args);
+    }
+
+    isLoaded(name) {
+        return this.modules.has(name);
+    }
+
     createHook(moduleName, name, version, opts, cb) {
         // parse args
         if (typeof version !== 'number' && version !== '*' && version !== 'raw' && version !== 'event')
@@ -206,6 +498,21 @@ class Dispatch {
         if (typeof cb !== 'function')
             throw TypeError(`[dispatch] [${moduleName}] hook: last argument not a function (given: ${typeof cb})`);
 
+        const filter = Object.assign({ fake: false, incoming: null, modified: null, silenced: false, fields: null }, opts.filter);
+        if (filter.fields !== null) {
+            if (typeof filter.fields !== 'object')
+                throw TypeError(`[dispatch] [${moduleName}] hook: filter.fields must be an object (given: ${typeof filter.fields})`);
+            if (version === 'raw' || version === 'event')
+                throw TypeError(`[dispatch] [${moduleName}] hook: filter.fields cannot be used with ${version} hooks`);
+        }
+
+        // A RegExp matches packet names on a * hook
+        let namePattern = null;
+        if (name instanceof RegExp) {
+            namePattern = new RegExp(name.source, name.flags.replace(/[gy]/g, '')); // test() must not keep state
+            name = '*';
+        }
+
         // retrieve opcode
         let code;
         let resolvedIdentifier;
@@ -226,7 +533,7 @@ class Dispatch {
                     if (!resolvedIdentifier.definition.readable)
                         throw Error(`obsolete definition (${name}.${version})`);
                     else if (!resolvedIdentifier.definition.writeable)
-                        log.warn(`[dispatch] [${moduleName}] hook: deprecated definition (${name}.${version}), mod might be broken!`);
+                        this.getModuleLog(moduleName).warn(`[dispatch] hook: deprecated definition (${name}.${version}), mod might be broken!`);
                 } catch (e) {
                     throw Error(`[dispatch] [${moduleName}] hook: ${e}`);
                 }
@@ -237,9 +544,16 @@ class Dispatch {
         return {
             moduleName,
             code,
-            filter: Object.assign({ fake: false, incoming: null, modified: null, silenced: false }, opts.filter),
+            filter,
+            namePattern,
             order: opts.order || 0,
+            before: [].concat(opts.before || []),
+            after: [].concat(opts.after || []),
             definitionVersion: version,
+            async: !!opts.async,
+            asyncTimeout: opts.async ? opts.timeout : undefined,
+            // set once unhooked, so that packets held by async hooks skip it when they resume
+            removed: false,
             callback: cb,
             name,
             resolvedIdentifier
@@ -248,6 +562,7 @@ class Dispatch {
 
     addHook(hook) {
         const { code, order } = hook;
+        hook.removed = false;
 
         if (!this.hooks.has(code))
             this.hooks.set(code, []);
@@ -260,18 +575,181 @@ class Dispatch {
         } else {
             ordering[index].hooks.push(hook);
         }
+
+        this.invalidateHookOrder(code);
     }
 
-    hook(...args) {
-        const hook = this.createHook(...args);
-        this.addHook(hook);
+    // Global hooks are part of the order of every opcode
+    invalidateHookOrder(code) {
+        if (code === '*')
+            this.hookOrder.clear();
+        else
+            this.hookOrder.delete(code);
+    }
+
+    getHooks(code) {
+        let hooks = this.hookOrder.get(code);
+        if (!hooks) {
+            hooks = resolveHookOrder([...iterateHooks(this.hooks.get('*'), this.hooks.get(code))], this.hookCycles);
+            this.hookOrder.set(code, hooks);
+        }
+        return hooks;
+    }
+
+    // An array of names adds one hook per name and returns them as an array
+    hook(moduleName, name, ...args) {
+        const hooks = [].concat(name).map(n => this.createHook(moduleName, n, ...args));
+        for (const hook of hooks)
+            this.addHook(hook);
+        return Array.isArray(name) ? hooks : hooks[0];
+    }
+
+    hookOnce(moduleName, ...args) {
+        const cb = args.pop();
+        if (typeof cb !== 'function')
+            throw TypeError(`[dispatch] [${moduleName}] hookOnce: last argument not a function (given: ${typeof cb})`);
+
+        const dispatch = this;
+        let hook = null;
+        hook = this.hook(moduleName, ...args, function () {
+            dispatch.unhook(hook);
+            return cb.apply(this, arguments);
+        });
         return hook;
     }
 
+    waitFor(moduleName, name, version, opts = {}) {
+        return this.createWaiter(moduleName, name, version, opts).promise;
+    }
+
+    createWaiter(moduleName, name, version, opts = {}) {
+        const { filter, order, timeout = 0, predicate, method = 'waitFor' } = opts;
+        const waiter = { moduleName, method, hook: null, timer: null, reject: null, promise: null };
+
+        waiter.promise = new Promise((resolve, reject) => {
+            const finish = () => {
+                this.unhook(waiter.hook);
+                if (waiter.timer)
+                    clearTimeout(waiter.timer);
+                this.waiters.delete(waiter);
+            };
+
+            waiter.reject = (err) => {
+                finish();
+                reject(err);
+            };
+
+            if (this.closed)
+                throw Error(`[dispatch] [${moduleName}] ${method}: connection closed`);
+
+            waiter.hook = this.hook(moduleName, name, version, { order, filter }, (...args) => {
+                if (predicate) {
+                    try {
+                        if (!predicate(...args))
+                            return;
+                    } catch (e) {
+                        waiter.reject(e);
+                        return;
+                    }
+                }
+
+                finish();
+                resolve(version === 'raw' ? args[1] : args[0]);
+            });
+
+            if (timeout > 0) {
+                waiter.timer = setTimeout(() => {
+                    waiter.reject(new Error(`[dispatch] [${moduleName}] waitFor: timed out after ${timeout}ms waiting for ${name}`));
+                }, timeout);
+            }
+
+            this.waiters.add(waiter);
+        });
+
+        return waiter;
+    }
+
+    request(moduleName, name, version, data, opts = {}) {
+        const { responseName, responseVersion = '*', match, timeout = 10000 } = opts;
+        if (!responseName)
+            throw TypeError(`[dispatch] [${moduleName}] request: responseName is required`);
+
+        let waiter = null;
+        let timer = null;
+        let expired = null;
+
+        // Requests of the same type are sent one after another, so that each
+        // reply can only be matched to the request that is currently in flight.
+        const previous = this.requestQueues.get(name) || Promise.resolve();
+        const sent = previous.then(() => {
+            // timed out while waiting for earlier requests, so it is never sent
+            if (expired)
+                throw expired;
+
+            waiter = this.createWaiter(moduleName, responseName, responseVersion, {
+                filter: { incoming: true },
+                predicate: match,
+                method: 'request',
+            });
+
+            try {
+                // Also covers packets held by async hooks and silenced later
+                this.writeData(true, this.buildPacket(name, version, data), (sent) => {
+                    if (!sent)
+                        waiter.reject(new Error(`[dispatch] [${moduleName}] request: ${name} was not sent`));
+                });
+            } catch (e) {
+                waiter.reject(e);
+            }
+
+            return waiter.promise;
+        });
+
+        // The timeout starts now, not once earlier requests are done
+        const current = new Promise((resolve, reject) => {
+            if (timeout > 0) {
+                timer = setTimeout(() => {
+                    expired = new Error(`[dispatch] [${moduleName}] request: timed out after ${timeout}ms waiting for ${responseName}`);
+                    if (waiter)
+                        waiter.reject(expired);
+                    else
+                        reject(expired);
+                }, timeout);
+            }
+
+            sent.then(resolve, reject);
+        });
+
+        const tail = sent.catch(() => {});
+        this.requestQueues.set(name, tail);
+        tail.then(() => {
+            if (timer)
+                clearTimeout(timer);
+            if (this.requestQueues.get(name) === tail)
+                this.requestQueues.delete(name);
+        });
+
+        return current;
+    }
+
+    rejectWaiters(moduleName, reason) {
+        for (const waiter of [...this.waiters]) {
+            if (moduleName === null || waiter.moduleName === moduleName)
+                waiter.reject(new Error(`[dispatch] [${waiter.moduleName}] ${waiter.method}: ${reason}`));
+        }
+    }
+
     unhook(hook) {
         if (!hook)
             return;
 
+        if (Array.isArray(hook)) {
+            for (const h of hook)
+                this.unhook(h);
+            return;
+        }
+
+        hook.removed = true;
         if (!this.hooks.has(hook.code))
             return;
 
@@ -279,19 +757,179 @@ class Dispatch {
         const group = ordering.find(o => o.order === hook.order);
         if (group)
             group.hooks = group.hooks.filter(h => h !== hook);
+
+        this.invalidateHookOrder(hook.code);
+        this.hookErrors.delete(hook);
+        this.disabledHooks.delete(hook);
     }
 
     unhookModule(name) {
+        for (const [code, orderings] of this.hooks) {
+            let changed = false;
+            for (const ordering of orderings) {
+                const hooks = ordering.hooks.filter((hook) => {
+                    if (hook.moduleName !== name)
+                        return true;
+
+                    hook.removed = true;
+                    return false;
+                });
+                if (hooks.length !== ordering.hooks.length) {
+                    ordering.hooks = hooks;
+                    changed = true;
+                }
+            }
+
+            if (changed)
+                this.invalidateHookOrder(code);
+        }
+    }
+
+    getModuleHooks(name) {
+        const hooks = [];
         for (const orderings of this.hooks.values()) {
             for (const ordering of orderings)
-                ordering.hooks = ordering.hooks.filter(hook => hook.moduleName !== name);
+                hooks.push(...ordering.hooks.filter(hook => hook.moduleName === name));
+        }
+        return hooks;
+    }
+
+    dropHeldPackets() {
+        for (const held of this.heldPackets) {
+            if (held.timer)
+                clearTimeout(held.timer);
+        }
+
+        this.heldPackets.clear();
+        this.incomingQueue = [];
+        this.outgoingQueue = [];
+    }
+
+    // Profiling
+    enableProfiler(opts) {
+        this.disableProfiler();
+        this.profiler = new Profiler(this, opts);
+        return this.profiler;
+    }
+
+    disableProfiler() {
+        if (this.profiler) {
+            this.profiler.destructor();
+            this.profiler = null;
+        }
+    }
+
+    // Error policy
+    setErrorPolicy(policy) {
+        Object.assign(this.errorPolicy, policy);
+    }
+
+    // Counts a failure of the given hook and disables it (or its whole module) once the policy threshold is reached
+    hookFailed(hook, error) {
+        const { maxErrors, interval, disableModule } = this.errorPolicy;
+        if (!(maxErrors > 0))
+            return;
+
+        const now = Date.now();
+        let stats = this.hookErrors.get(hook);
+        if (!stats || (interval > 0 && now - stats.since > interval)) {
+            stats = { count: 0, since: now };
+            this.hookErrors.set(hook, stats);
+        }
+
+        if (++stats.count < maxErrors)
+            return;
+
+        const wholeModule = disableModule && hook.moduleName !== null;
+        const info = {
+            hook,
+            moduleName: hook.moduleName,
+            name: hook.name,
+            version: hook.definitionVersion,
+            errors: stats.count,
+            error: error.message,
+            time: now,
+        };
+
+        for (const disabled of (wholeModule ? this.getModuleHooks(hook.moduleName) : [hook])) {
+            this.unhook(disabled);
+            this.disabledHooks.set(disabled, Object.assign({}, info, {
+                hook: disabled,
+                name: disabled.name,
+                version: disabled.definitionVersion,
+            }));
+        }
+
+        this.getModuleLog(hook.moduleName).error({
+            module: hook.moduleName,
+            code: hook.code,
+            hook: getHookName(hook),
+            errors: stats.count,
+            error: error.message,
+        }, `[dispatch] handle: too many errors (${stats.count}) in hook for ${getMessageName(this.protocolMap, hook.name, hook.definitionVersion, hook.name)}, disabled ${wholeModule ? 'all hooks of the module' : 'the hook'}`);
+
+        this.emitEvent('hookDisabled', info);
+    }
+
+    // Logger for records about a module, tagged with its name like the module's own `log`
+    getModuleLog(moduleName) {
+        if (moduleName === null)
+            return log;
+
+        const wrapper = this.modules.get(moduleName);
+        if (wrapper)
+            return wrapper.log;
+
+        let moduleLog = this.moduleLogs.get(moduleName);
+        if (!moduleLog)
+            this.moduleLogs.set(moduleName, moduleLog = log.child(moduleName));
+        return moduleLog;
+    }
+
+    getDisabledHooks() {
+        return [...this.disabledHooks.values()];
+    }
+
+    enableHook(hook) {
+        if (!this.disabledHooks.has(hook))
+            return false;
+
+        this.disabledHooks.delete(hook);
+        this.addHook(hook);
+        return true;
+    }
+
+    enableModule(name) {
+        let enabled = false;
+        for (const hook of [...this.disabledHooks.keys()]) {
+            if (hook.moduleName === name)
+                enabled = this.enableHook(hook) || enabled;
         }
+        return enabled;
+    }
+
+    // Sends a packet later, see SendQueue
+    schedule(moduleName, outgoing, ...args) {
+        const queue = outgoing ? this.sendQueues.server : this.sendQueues.client;
+        try {
+            return queue.schedule(moduleName, ...args);
+        } catch (e) {
+            throw Error(`[dispatch] [${moduleName}] schedule: ${e.message}`);
+        }
+    }
+
+    createCancelToken() {
+        return new CancelToken();
     }
 
     write(outgoing, name, version, data) {
         if (!this.connection)
             return false
 
+        return this.writeData(outgoing, this.buildPacket(name, version, data))
+    }
+
+    buildPacket(name, version, data) {
         if (Buffer.isBuffer(name)) {
             // Note: even though handle() doesn't modify the original buffer at all,
             // Note: we need to create a copy here because connection's sendServer()
@@ -304,10 +942,9 @@ class Dispatch {
             if (version !== '*') {
                 const latest = this.latestDefVersion.get(name)
                 if (latest && version < latest) {
-                    log.debug([
-                        `[dispatch] write: ${getMessageName(this.protocolMap, name, version, name)} is not latest version (${latest})`,
-                        errStack(),
-                    ].join('\n'))
+                    log.debug({
+                        stack: errStack(),
+                    }, `[dispatch] write: ${getMessageName(this.protocolMap, name, version, name)} is not latest version (${latest})`)
                 }
             }
 
@@ -318,30 +955,124 @@ class Dispatch {
             }
         }
 
-        data = this.handle(data, !outgoing, true)
-        if (data === false)
-            return false
+        return data
+    }
 
-        this.connection[outgoing ? 'sendServer' : 'sendClient'](data)
-        return true
+    // Runs the hooks on an injected packet and sends it. Returns false if it was silenced
+    // right away; `delivered` is also told about packets silenced after being held.
+    writeData(outgoing, data, delivered = null) {
+        const original = data
+        let sent = true
+        this.receive(data, !outgoing, true, (result) => {
+            if (this.closed)
+                return
+
+            if (this.connection.recorder)
+                this.connection.recorder.record(original, result, !outgoing, true)
+
+            if (result === false)
+                sent = false
+            else
+                this.connection[outgoing ? 'sendServer' : 'sendClient'](result)
+
+            if (delivered)
+                delivered(sent)
+        })
+        return sent
     }
 
+    // Runs all hooks on a packet and returns the resulting data, or false if it was silenced.
+    // Async hooks are not waited for; use receive() to let them hold the packet.
     handle(data, incoming, fake = false) {
+        const state = this.createPacketState(data, incoming, fake)
+        if (!state)
+            return false
+
+        this.runHooks(state, false)
+        return (!state.silenced ? state.data : false)
+    }
+
+    // Runs all hooks on a packet and passes the result (or false if it was silenced) to `deliver`,
+    // which happens later if an async hook holds the packet. Real packets are delivered in order
+    // per direction; packets injected by modules are never held back by other packets.
+    receive(data, incoming, fake, deliver) {
+        const state = this.createPacketState(data, incoming, fake)
+        if (!state) {
+            deliver(false)
+            return
+        }
+
+        state.deliver = deliver
+
+        if (fake) {
+            if (this.runHooks(state, true))
+                this.deliverPacket(state)
+            return
+        }
+
+        const queue = incoming ? this.incomingQueue : this.outgoingQueue
+        state.queue = queue
+        queue.push(state)
+        if (queue.length === 1)
+            this.processQueue(queue)
+    }
+
+    processQueue(queue) {
+        while (queue.length > 0) {
+            if (!this.runHooks(queue[0], true))
+                return // held by an async hook, continued by resumePacket()
+
+            this.deliverPacket(queue.shift())
+        }
+    }
+
+    deliverPacket(state) {
+        state.deliver(!state.silenced ? state.data : false)
+    }
+
+    createPacketState(data, incoming, fake) {
+        if (data.length < 4) {
+            log.error(`[dispatch] handle: dropping ${incoming ? 'incoming' : 'outgoing'} frame shorter than the packet header (${data.length} bytes): ${data.toString('hex')}`)
+            return null
+        }
+
         const code = data.readUInt16LE(2)
 
-        const globalHooks = this.hooks.get('*')
-        const codeHooks = this.hooks.get(code)
-        if (!globalHooks && !codeHooks) return data
+        return {
+            data,
+            code,
+            incoming,
+            fake,
+            modified: false,
+            silenced: false,
+            hooks: null, // resolved once the packet's turn has come
+            index: 0,
+            eventCache: [],
+            // Cached events handed out as copy-on-write views, which must not be modified in place
+            viewed: new Set(),
+            deliver: null,
+            queue: null,
+        }
+    }
 
-        let modified = false
-        let silenced = false
+    // Runs the remaining hooks on a packet. Returns false if an async hook is holding it
+    // (and `wait` is set), true once all hooks have run.
+    runHooks(state, wait) {
+        const { code, incoming, fake } = state
+        const { profiler } = this
 
-        let eventCache = [],
-            iter = 0,
-            hooks = (globalHooks ? globalHooks.length : 0) + (codeHooks ? codeHooks.length : 0) // TODO bug
+        if (!state.hooks)
+            state.hooks = (this.hooks.has('*') || this.hooks.has(code)) ? this.getHooks(code) : []
 
-        for (const hook of iterateHooks(globalHooks, codeHooks)) {
-            const lastHook = false; // quick workaround for bug above
+        const { hooks } = state
+
+        for (; state.index < hooks.length; state.index++) {
+            const hook = hooks[state.index]
+            const lastHook = state.index === hooks.length - 1
+
+            // removed while the packet was held
+            if (hook.removed) continue
+            const { modified, silenced } = state
 
             // check flags
             const { filter } = hook
@@ -349,10 +1080,11 @@ class Dispatch {
             if (filter.incoming !== null && filter.incoming !== incoming) continue
             if (filter.modified !== null && filter.modified !== modified) continue
             if (filter.silenced !== null && filter.silenced !== silenced) continue
+            if (hook.namePattern !== null && !hook.namePattern.test(this.protocolMap.code.get(code) || '')) continue
 
             if (hook.definitionVersion === 'raw') {
                 try {
-                    const copy = Buffer.from(data)
+                    const copy = Buffer.from(state.data)
                     Object.defineProperties(copy, {
                         $fake: { value: fake },
                         $incoming: { value: incoming },
@@ -360,113 +1092,241 @@ class Dispatch {
                         $silenced: { value: silenced },
                     })
 
+                    const start = profiler && profiler.now()
                     const result = hook.callback(code, copy, incoming, fake)
+                    if (profiler) profiler.record(hook, code, 'callback', start)
 
-                    if (Buffer.isBuffer(result)) {
-                        if (result.length !== data.length || !result.equals(data)) {
-                            modified = true
-                            eventCache = []
-                            data = result
-                        }
-                    } else if (typeof result === 'boolean') {
-                        silenced = !result
+                    if (wait && hook.async && isThenable(result)) {
+                        this.holdPacket(state, hook, result, res => this.applyRawResult(state, hook, res))
+                        return false
                     }
+                    this.watchResult(state, hook, result)
+
+                    this.applyRawResult(state, hook, result)
                 }
                 catch (e) {
-                    log.error([
-                        `[dispatch] [${hook.moduleName}] handle: error running raw hook for ${getMessageName(this.protocolMap, code, hook.definitionVersion)}`,
-                        `hook: ${getHookName(hook)}`,
-                        `data: ${data.toString('hex')}`,
-                        `error: ${e.message}`,
-                        errStack(e),
-                    ].join('\n'))
+                    this.hookError(state, hook, e, state.data.toString('hex'))
                 }
             } else if (hook.definitionVersion === 'event') {
                 try {
+                    const start = profiler && profiler.now()
                     const result = hook.callback()
+                    if (profiler) profiler.record(hook, code, 'callback', start)
+
+                    if (wait && hook.async && isThenable(result)) {
+                        this.holdPacket(state, hook, result, (res) => {
+                            if (res === false)
+                                state.silenced = true
+                        })
+                        return false
+                    }
+                    this.watchResult(state, hook, result)
 
                     if (result === false)
-                        silenced = true
+                        state.silenced = true
                 }
                 catch (e) {
-                    log.error([
-                        `[dispatch] [${hook.moduleName}] handle: error running event hook for ${getMessageName(this.protocolMap, code, hook.definitionVersion)}`,
-                        `hook: ${getHookName(hook)}`,
-                        `error: ${e.message}`,
-                        errStack(e),
-                    ].join('\n'))
+                    this.hookError(state, hook, e)
                 }
             } else { // normal hook
                 try {
                     const defVersion = hook.definitionVersion
                     const resolvedIdentifier = hook.resolvedIdentifier
-                    let event = eventCache[defVersion] || (eventCache[defVersion] = this.protocol.parse(resolvedIdentifier, data))
-                    if (!lastHook)
-                        event = this.protocol.clone(resolvedIdentifier, event)
+                    const { eventCache, viewed } = state
+                    let start = profiler && profiler.now()
+                    let event = eventCache[defVersion]
+                    if (!event) {
+                        event = eventCache[defVersion] = this.protocol.parse(resolvedIdentifier, state.data)
+                        if (profiler) profiler.record(hook, code, 'parse', start)
+                    }
 
-                    Object.defineProperties(event, {
-                        $fake: { value: fake },
-                        $incoming: { value: incoming },
-                        $modified: { value: modified },
-                        $silenced: { value: silenced },
-                    })
+                    let cloneTime = 0
+                    if (!lastHook || viewed.has(event)) {
+                        // Only clone the cached event if the hook actually modifies it
+                        viewed.add(event)
+                        event = createEventView(event, (cached) => {
+                            const cloneStart = profiler && profiler.now()
+                            const copy = this.protocol.clone(resolvedIdentifier, cached)
+                            if (profiler) cloneTime = profiler.record(hook, code, 'clone', cloneStart)
+                            return copy
+                        }, { $fake: fake, $incoming: incoming, $modified: modified, $silenced: silenced })
+                    } else {
+                        // Nobody else gets to see the cached event, so the last hook may use it directly
+                        Object.defineProperties(event, {
+                            $fake: { value: fake },
+                            $incoming: { value: incoming },
+                            $modified: { value: modified },
+                            $silenced: { value: silenced },
+                        })
+                    }
 
                     try {
+                        if (filter.fields !== null && !matchFields(event, filter.fields))
+                            continue
+
+                        if (profiler) start = profiler.now()
                         const result = hook.callback(event, fake)
+                        if (profiler) profiler.record(hook, code, 'callback', start, cloneTime)
 
-                        if (result === true) {
-                            eventCache = []
-
-                            try {
-                                data = this.protocol.write(resolvedIdentifier, event)
-
-                                modified = true
-                                silenced = false
-                            } catch (e) {
-                                log.error([
-                                    `[dispatch] [${hook.moduleName}] handle: failed to generate ${getMessageName(this.protocolMap, code, defVersion)}`,
-                                    `hook: ${getHookName(hook)}`,
-                                    `error: ${e.message}`,
-                                    errStack(e, false),
-                                ].join('\n'))
-                            }
+                        if (wait && hook.async && isThenable(result)) {
+                            this.holdPacket(state, hook, result, res => this.applyEventResult(state, hook, event, res), event)
+                            return false
                         }
-                        else if (result === false)
-                            silenced = true
+                        this.watchResult(state, hook, result, event)
+
+                        this.applyEventResult(state, hook, event, result)
                     }
                     catch (e) {
-                        log.error([
-                            `[dispatch] [${hook.moduleName}] handle: error running hook for ${getMessageName(this.protocolMap, code, defVersion)}`,
-                            `hook: ${getHookName(hook)}`,
-                            `data: ${util.inspect(event)}`,
-                            `error: ${e.message}`,
-                            errStack(e),
-                        ].join('\n'))
+                        this.hookError(state, hook, e, util.inspect(resolveEvent(event)))
                     }
                 }
                 catch (e) {
-                    log.error([
-                        `[dispatch] [${hook.moduleName}] handle: failed to parse ${getMessageName(this.protocolMap, code, hook.definitionVersion)}`,
-                        `hook: ${getHookName(hook)}`,
-                        `data: ${data.toString('hex')}`,
-                        `error: ${e.message}`,
-                        errStack(e, false),
-                    ].join('\n'))
+                    this.getModuleLog(hook.moduleName).error({
+                        module: hook.moduleName,
+                        code,
+                        hook: getHookName(hook),
+                        data: state.data.toString('hex'),
+                        error: e.message,
+                        stack: errStack(e, false),
+                    }, `[dispatch] handle: failed to parse ${getMessageName(this.protocolMap, code, hook.definitionVersion)}`)
+                    this.hookFailed(hook, e)
                 }
             }
         }
 
-        // return value
-        return (!silenced ? data : false)
+        return true
+    }
+
+    applyRawResult(state, hook, result) {
+        if (Buffer.isBuffer(result)) {
+            if (result.length !== state.data.length || !result.equals(state.data)) {
+                state.modified = true
+                state.eventCache = []
+                if (this.profiler) this.profiler.invalidated(hook, state.code)
+                state.data = result
+            }
+        } else if (typeof result === 'boolean') {
+            state.silenced = !result
+        }
+    }
+
+    applyEventResult(state, hook, event, result) {
+        const { code } = state
+        const { profiler } = this
+
+        if (result === true) {
+            state.eventCache = []
+            if (profiler) profiler.invalidated(hook, code)
+
+            try {
+                const start = profiler && profiler.now()
+                state.data = this.protocol.write(hook.resolvedIdentifier, resolveEvent(event))
+                if (profiler) profiler.record(hook, code, 'write', start)
+
+                state.modified = true
+                state.silenced = false
+            } catch (e) {
+                this.getModuleLog(hook.moduleName).error({
+                    module: hook.moduleName,
+                    code,
+                    hook: getHookName(hook),
+                    error: e.message,
+                    stack: errStack(e, false),
+                }, `[dispatch] handle: failed to generate ${getMessageName(this.protocolMap, code, hook.definitionVersion)}`)
+                this.hookFailed(hook, e)
+            }
+        }
+        else if (result === false)
+            state.silenced = true
+    }
+
+    hookError(state, hook, e, data) {
+        if (!(e instanceof Error))
+            e = new Error(String(e))
+
+        const kind = hook.definitionVersion === 'raw' ? 'raw hook' : (hook.definitionVersion === 'event' ? 'event hook' : 'hook')
+        this.getModuleLog(hook.moduleName).error({
+            module: hook.moduleName,
+            code: state.code,
+            hook: getHookName(hook),
+            data,
+            error: e.message,
+            stack: errStack(e),
+        }, `[dispatch] handle: error running ${kind} for ${getMessageName(this.protocolMap, state.code, hook.definitionVersion)}`)
+        this.hookFailed(hook, e)
+    }
+
+    // Reports the failure of a promise returned by a hook which the packet does not wait for
+    watchResult(state, hook, result, event = null) {
+        if (isThenable(result))
+            Promise.resolve(result).catch(e => this.hookError(state, hook, e, event ? util.inspect(resolveEvent(event)) : undefined))
+    }
+
+    // Holds a packet until the promise returned by an async hook settles (or times out),
+    // then applies its result and runs the remaining hooks
+    holdPacket(state, hook, promise, apply, event = null) {
+        const timeout = hook.asyncTimeout !== undefined ? hook.asyncTimeout : this.asyncHookTimeout
+        const held = { state, timer: null }
+
+        const settle = (fn) => {
+            if (!this.heldPackets.has(held))
+                return
+
+            this.heldPackets.delete(held)
+            if (held.timer)
+                clearTimeout(held.timer)
+
+            fn()
+            state.index++
+            this.resumePacket(state)
+        }
+
+        if (timeout > 0) {
+            held.timer = setTimeout(() => settle(() => {
+                this.getModuleLog(hook.moduleName).warn(`[dispatch] handle: async hook for ${getMessageName(this.protocolMap, state.code, hook.definitionVersion)} did not settle within ${timeout}ms, passing the packet on`)
+            }), timeout)
+        }
+
+        this.heldPackets.add(held)
+        promise.then(result => settle(() => apply(result)), e => settle(() => {
+            this.hookError(state, hook, e, event ? util.inspect(resolveEvent(event)) : undefined)
+        }))
+    }
+
+    resumePacket(state) {
+        if (!this.runHooks(state, true))
+            return
+
+        if (state.queue) {
+            state.queue.shift()
+            this.deliverPacket(state)
+            this.processQueue(state.queue)
+        } else {
+            this.deliverPacket(state)
+        }
     }
 
     // Opcode / Definition management
-    addOpcode(name, code, padding = false) {
+    addOpcode(name, code, padding = hasPadding(this.protocolVersion, name)) {
         this.protocolMap.name.set(name, code);
         this.protocolMap.code.set(code, name);
         this.protocolMap.padding[code] = padding;
     }
 
+    setPadding(name, padding = true) {
+        const code = this.protocolMap.name.get(name);
+        if (code === null || typeof code === 'undefined')
+            throw Error(`[dispatch] setPadding: unmapped packet "${name}"`);
+
+        this.protocolMap.padding[code] = padding;
+    }
+
+    // Re-reads the padding of all mapped opcodes, e.g. after mergePadding()
+    updatePadding() {
+        for (const [name, code] of this.protocolMap.name)
+            this.protocolMap.padding[code] = hasPadding(this.protocolVersion, name);
+    }
+
     checkOpcodes(names) {
         return names.filter(name => !this.protocolMap.name.get(name));
     }
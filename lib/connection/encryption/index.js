@@ -32,28 +32,36 @@ function xorKey(tgt, key1, key2) {
         tgt[i] = key1[i] ^ key2[i];
 }
 
+const CONSTANTS = { serverKey1Shift: -67, clientKey2Shift: 29, serverKey2Shift: -41 };
+const OLD_CONSTANTS = { serverKey1Shift: -31, clientKey2Shift: 17, serverKey2Shift: -79 };
+
 class Session {
-    constructor(protocolVersion, majorPatchVersion) {
+    constructor(protocolVersion, majorPatchVersion, constants = null) {
         this.protocolVersion = protocolVersion;
         this.majorPatchVersion = majorPatchVersion;
         this.encryptor = null;
         this.decryptor = null;
-        this.useOldConstants = majorPatchVersion < 45;
+        this.constants = constants || Session.getDefaultConstants(majorPatchVersion);
         this.clientKeys = [Buffer.alloc(128), Buffer.alloc(128)];
         this.serverKeys = [Buffer.alloc(128), Buffer.alloc(128)];
     }
 
+    static getDefaultConstants(majorPatchVersion) {
+        return majorPatchVersion < 45 ? OLD_CONSTANTS : CONSTANTS;
+    }
+
     init() {
         const [c1, c2] = this.clientKeys;
         const [s1, s2] = this.serverKeys;
+        const { serverKey1Shift, clientKey2Shift, serverKey2Shift } = this.constants;
         const t1 = Buffer.allocUnsafe(128);
         const t2 = Buffer.allocUnsafe(128);
-        shiftKey(t1, s1, this.useOldConstants ? -31 : -67);
+        shiftKey(t1, s1, serverKey1Shift);
         xorKey(t2, t1, c1);
-        shiftKey(t1, c2, this.useOldConstants ? 17 : 29);
+        shiftKey(t1, c2, clientKey2Shift);
         xorKey(t2, t1, t2);
         this.decryptor = getCrypto(t2);
-        shiftKey(t1, s2, this.useOldConstants ? -79 : -41);
+        shiftKey(t1, s2, serverKey2Shift);
         this.decryptor.apply(t1);
         this.encryptor = getCrypto(t1);
     }
@@ -75,7 +83,7 @@ class Session {
     }
 
     cloneKeys() {
-        const session = new Session(this.protocolVersion, this.majorPatchVersion);
+        const session = new Session(this.protocolVersion, this.majorPatchVersion, this.constants);
         this.clientKeys[0].copy(session.clientKeys[0]);
         this.clientKeys[1].copy(session.clientKeys[1]);
         this.serverKeys[0].copy(session.serverKeys[0]);
@@ -0,0 +1,225 @@
+// Copy-on-write views of parsed events.
+//
+// Hooks receive a proxy of the parsed (and cached) event instead of a clone of it.
+// Reads go to the cached event; the first mutation anywhere in the event clones it
+// once, and all further reads and writes of this view go to the clone. Buffers are
+// copied on their own when read, since they can be changed through their methods.
+// Other objects which keep their data in internal slots (e.g. Map, Date) cannot be
+// proxied transparently and are handed out from the clone; frozen objects are handed
+// out as they are.
+
+const util = require('util');
+
+const { types } = util;
+
+// Key of the node state on proxy targets
+const NODE = Symbol('eventView');
+
+// Whether reads of `value` can be forwarded through a proxy, which excludes objects
+// whose methods only work on the object itself
+function isProxyable(value) {
+    if (value === null || typeof value !== 'object')
+        return false;
+
+    const proto = Object.getPrototypeOf(value);
+    if (proto === Object.prototype || proto === Array.prototype || proto === null)
+        return true;
+
+    return !(types.isArrayBufferView(value) || types.isAnyArrayBuffer(value) || types.isDate(value) || types.isMap(value)
+        || types.isSet(value) || types.isWeakMap(value) || types.isWeakSet(value) || types.isRegExp(value)
+        || types.isPromise(value) || types.isBoxedPrimitive(value));
+}
+
+// Maps every object of `base` to the object at the same place in its clone `copy`
+function link(map, base, copy) {
+    if (base === null || typeof base !== 'object' || copy === null || typeof copy !== 'object' || map.has(base))
+        return;
+
+    map.set(base, copy);
+    if (isProxyable(base)) {
+        for (const key of Object.keys(base))
+            link(map, base[key], copy[key]);
+    }
+}
+
+// util.inspect() formats the target of a proxy without going through its traps,
+// so targets carry this to show the current contents of the view instead
+function inspectNode(depth, options) {
+    const { view, node } = this[NODE];
+    return util.inspect(view.current(node), Object.assign({}, options, { depth: options.depth === null ? null : depth }));
+}
+
+function isFlag(state, prop) {
+    return state.flags !== null && typeof prop === 'string' && Object.prototype.hasOwnProperty.call(state.flags, prop);
+}
+
+// Shared by all views; the state of a proxy is kept on its target
+const handler = {
+    get(target, prop) {
+        const state = target[NODE];
+        if (prop === NODE)
+            return state;
+        if (isFlag(state, prop))
+            return state.flags[prop];
+
+        const { view, node } = state;
+        if (view.copy !== null)
+            return Reflect.get(view.current(node), prop);
+
+        const value = Reflect.get(node, prop);
+        if (value === null || typeof value !== 'object' || Object.isFrozen(value))
+            return value;
+        if (isProxyable(value))
+            return view.proxy(value);
+        if (Buffer.isBuffer(value))
+            return view.copyBuffer(node, prop, value);
+
+        // These may be mutated through their own methods
+        view.materialize();
+        return Reflect.get(view.current(node), prop);
+    },
+
+    set(target, prop, value) {
+        const { view, node } = target[NODE];
+        view.materialize();
+        return Reflect.set(view.current(node), prop, detach(value));
+    },
+
+    deleteProperty(target, prop) {
+        const { view, node } = target[NODE];
+        view.materialize();
+        return Reflect.deleteProperty(view.current(node), prop);
+    },
+
+    defineProperty(target, prop, descriptor) {
+        const { view, node } = target[NODE];
+        view.materialize();
+        if ('value' in descriptor)
+            descriptor = Object.assign({}, descriptor, { value: detach(descriptor.value) });
+        return Reflect.defineProperty(view.current(node), prop, Object.assign({ configurable: true }, descriptor));
+    },
+
+    has(target, prop) {
+        const state = target[NODE];
+        return isFlag(state, prop) || Reflect.has(state.view.current(state.node), prop);
+    },
+
+    ownKeys(target) {
+        const { view, node } = target[NODE];
+        return Reflect.ownKeys(view.current(node));
+    },
+
+    getOwnPropertyDescriptor(target, prop) {
+        const state = target[NODE];
+        if (isFlag(state, prop))
+            return { value: state.flags[prop], writable: false, enumerable: false, configurable: true };
+
+        const descriptor = Reflect.getOwnPropertyDescriptor(state.view.current(state.node), prop);
+        if (descriptor && !descriptor.configurable && !Reflect.getOwnPropertyDescriptor(target, prop))
+            descriptor.configurable = true;
+        return descriptor;
+    },
+};
+
+class EventView {
+    constructor(base, clone, flags) {
+        this.base = base;
+        this.clone = clone;
+        this.flags = flags;
+        this.copy = null;
+        this.copies = null;
+        this.proxies = null;
+        this.buffers = null;
+    }
+
+    get materialized() { return this.copy !== null; }
+
+    materialize() {
+        if (this.copy === null) {
+            this.copy = this.clone(this.base);
+            this.copies = new WeakMap();
+            link(this.copies, this.base, this.copy);
+
+            // Buffers handed out before keep their place (and changes) in the clone
+            if (this.buffers !== null) {
+                for (const [node, buffers] of this.buffers) {
+                    const copy = this.copies.get(node);
+                    for (const [prop, buffer] of buffers)
+                        copy[prop] = buffer;
+                }
+                this.buffers = null;
+            }
+        }
+        return this.copy;
+    }
+
+    // Copy of the buffer at `node[prop]` owned by this view
+    copyBuffer(node, prop, value) {
+        if (this.buffers === null)
+            this.buffers = new Map();
+
+        let buffers = this.buffers.get(node);
+        if (!buffers)
+            this.buffers.set(node, buffers = new Map());
+
+        let buffer = buffers.get(prop);
+        if (!buffer)
+            buffers.set(prop, buffer = Buffer.from(value));
+        return buffer;
+    }
+
+    // The object currently backing `node` of the cached event
+    current(node) {
+        return this.copy === null ? node : this.copies.get(node);
+    }
+
+    proxy(node) {
+        if (this.proxies === null)
+            this.proxies = new Map();
+
+        let proxy = this.proxies.get(node);
+        if (!proxy) {
+            // Proxy targets only stand in for the node; arrays need an array target for Array.isArray()
+            const target = Array.isArray(node) ? [] : Object.create(Object.getPrototypeOf(node));
+            target[NODE] = { view: this, node, flags: node === this.base ? this.flags : null };
+            target[util.inspect.custom] = inspectNode;
+
+            proxy = new Proxy(target, handler);
+            this.proxies.set(node, proxy);
+        }
+        return proxy;
+    }
+}
+
+function getState(value) {
+    return (value !== null && typeof value === 'object' && types.isProxy(value)) ? value[NODE] : undefined;
+}
+
+// Returns the plain object behind a view (or the value itself)
+function unwrap(value) {
+    const state = getState(value);
+    return state ? state.view.current(state.node) : value;
+}
+
+// Same as unwrap(), but makes sure that the cached event is never stored elsewhere
+function detach(value) {
+    const state = getState(value);
+    if (!state)
+        return value;
+
+    state.view.materialize();
+    return state.view.current(state.node);
+}
+
+// Creates a copy-on-write view of `base`. `clone` is called with `base` on the first
+// mutation and must return a deep copy of it; `flags` are exposed as read-only properties.
+function createEventView(base, clone, flags = {}) {
+    return new EventView(base, clone, flags).proxy(base);
+}
+
+function isMaterialized(event) {
+    const state = getState(event);
+    return state ? state.view.materialized : false;
+}
+
+module.exports = { createEventView, resolveEvent: unwrap, isMaterialized };
@@ -1,43 +1,106 @@
+const events = require('events');
 const net = require('net');
 const Dispatch = require('./dispatch');
 const Encryption = require('./encryption');
-const { PacketIntegrity } = require('./integrity');
+const { PacketIntegrity, IntegrityAudit, findStrategy, hasPaddingTable, loadDataPadding } = require('./integrity');
+const log = require('../logger');
+const ServerRedirect = require('./redirect');
+const CaptureRecorder = require('../capture/recorder');
+const { getPlatform } = require('../platforms');
 
-class Connection {
+class Connection extends events.EventEmitter {
     constructor(metadata, clientInterfaceConnection, noIntegrity = false) {
+        super();
         this.metadata = metadata || {};
         this.clientInterfaceConnection = clientInterfaceConnection;
         this.client = null;
 
         this.state = -1;
-        this.session = new Encryption(this.metadata.protocolVersion, this.metadata.majorPatchVersion);
-
-        const bufferType = this.metadata.platform === 'ps4' ? require('../packetBufferPS4') : require('../packetBuffer');
-        this.buffer = new bufferType();
-
-        this.builder = this.metadata.platform === 'ps4' ? require('../packetBuilderPS4') : require('../packetBuilder');
+        this.platform = getPlatform(this.metadata.platform);
+        this.session = new Encryption(this.metadata.protocolVersion, this.metadata.majorPatchVersion, this.platform.getCryptoConstants(this.metadata.majorPatchVersion));
+        this.buffer = new this.platform.PacketBuffer();
+        this.builder = this.platform.PacketBuilder;
+
+        // Merge user-supplied padding lists before Dispatch reads them
+        if (this.metadata.dataFolder) {
+            try {
+                loadDataPadding(this.metadata.dataFolder);
+            } catch (e) {
+                log.error(`[connection] failed to load padding list of "${this.metadata.dataFolder}": ${e.message}`);
+            }
+        }
 
         this.dispatch = new Dispatch(this);
 
         this.integrity = null;
+        this.integrityAudit = null;
+        this.recorder = null;
+        this.redirect = null;
+
+        // Scheduled packets for the server wait until the session is established
+        this.sessionPaused = true;
+        this.dispatch.sendQueues.server.pause();
 
+        this.integrityStrategy = null;
         if (!noIntegrity)
-            if (this.metadata.majorPatchVersion >= 100)
-                this.dispatch.hook(null, 'S_LOGIN_ACCOUNT_INFO', 3, { order: -Infinity, filter: { incoming: true } }, (event) => {
-                    this.integrity = new PacketIntegrity(event.antiCheatChecksumSeed);
-                });
-            else if (this.metadata.majorPatchVersion >= 92)
-                this.integrity = new PacketIntegrity(null);
+            this.setupIntegrity();
+    }
+
+    setupIntegrity() {
+        const strategy = findStrategy(this.metadata.majorPatchVersion, this.metadata.protocolVersion);
+        if (!strategy)
+            return;
+
+        this.integrityStrategy = strategy;
+
+        if (!hasPaddingTable(this.metadata.protocolVersion))
+            log.warn(`[connection] no padding list for protocol version ${this.metadata.protocolVersion}, packet integrity will not be applied to any packet`);
+
+        if (strategy.seed) {
+            const { name, version, field } = strategy.seed;
+            this.dispatch.hook(null, name, version, { order: -Infinity, filter: { incoming: true } }, (event) => {
+                this.integrity = new PacketIntegrity(event[field], strategy);
+            });
+        }
+
+        this.resetIntegrity();
+    }
+
+    // Seeded strategies have to wait for the seed packet of the new session
+    resetIntegrity() {
+        const strategy = this.integrityStrategy;
+        this.integrity = (strategy && !strategy.seed) ? new PacketIntegrity(strategy.iv, strategy) : null;
+    }
+
+    // Prepares for a new handshake with the server, keeping Dispatch (and thus all modules and hooks) alive
+    resetSession() {
+        if (!this.sessionPaused) {
+            this.sessionPaused = true;
+            this.dispatch.sendQueues.server.pause();
+        }
+
+        this.state = -1;
+        this.session = new Encryption(this.metadata.protocolVersion, this.metadata.majorPatchVersion, this.platform.getCryptoConstants(this.metadata.majorPatchVersion));
+        this.buffer = new this.platform.PacketBuffer();
+        this.resetIntegrity();
+
+        if (this.integrityAudit)
+            this.integrityAudit.reset();
     }
 
     connect(client, opt) {
         this.client = client;
+        this.connectOptions = opt;
 
-        this.serverConnection = net.connect(opt);
+        const socket = net.connect(opt);
+        this.serverConnection = socket;
         this.serverConnection.setNoDelay(true);
 
         this.serverConnection.on('connect', () => {
-            this.state = -1;
+            if (this.serverConnection !== socket)
+                return;
+
+            this.setState(-1);
             if (this.client)
                 this.client.onConnect(this.serverConnection);
             else
@@ -45,10 +108,13 @@ class Connection {
         });
 
         this.serverConnection.on('data', (data) => {
+            if (this.serverConnection !== socket)
+                return;
+
             switch (this.state) {
                 case -1: {
-                    if (data.readUInt32LE(0) === 1) {
-                        this.state = 0;
+                    if (data.length >= 4 && data.readUInt32LE(0) === this.platform.handshake.hello) {
+                        this.setState(0);
                         this.sendClient(data);
                     }
                     break;
@@ -57,7 +123,7 @@ class Connection {
                 case 0: {
                     if (data.length === 128) {
                         data.copy(this.session.serverKeys[0]);
-                        this.state = 1;
+                        this.setState(1);
                         this.sendClient(data);
                     }
                     break;
@@ -67,23 +133,44 @@ class Connection {
                     if (data.length === 128) {
                         data.copy(this.session.serverKeys[1]);
                         this.session.init();
-                        this.state = 2;
+                        this.setState(2);
                         this.sendClient(data);
+                        this.emitEvent('encrypted');
+
+                        if (this.sessionPaused && this.dispatch) {
+                            this.sessionPaused = false;
+                            this.dispatch.sendQueues.server.resume();
+                        }
                     }
                     break;
                 }
 
                 case 2: {
                     this.session.applyFromServer(data);
-                    this.buffer.write(data);
+
+                    try {
+                        this.buffer.write(data);
+                    } catch (e) {
+                        log.error(`[connection] malformed data from server: ${e.message}`);
+                        this.close(`protocol error: ${e.message}`);
+                        return;
+                    }
 
                     // eslint-disable-next-line no-cond-assign
                     while (data = this.buffer.read()) {
-                        if (this.dispatch)
-                            data = this.dispatch.handle(data, true);
+                        const original = data;
+                        const deliver = (result) => {
+                            if (this.recorder)
+                                this.recorder.record(original, result, true);
+
+                            if (result)
+                                this.sendClient(result);
+                        };
 
-                        if (data)
-                            this.sendClient(data);
+                        if (this.dispatch)
+                            this.dispatch.receive(data, true, false, deliver);
+                        else
+                            deliver(data);
                     }
 
                     break;
@@ -97,14 +184,137 @@ class Connection {
             }
         });
 
+        this.serverConnection.on('timeout', () => {
+            if (this.serverConnection === socket)
+                this.emitEvent('timeout');
+        });
+
+        this.serverConnection.on('error', (err) => {
+            if (this.serverConnection !== socket)
+                return;
+
+            this.emitEvent('error', err);
+            this.onServerClose(`server error: ${err.message}`);
+        });
+
         this.serverConnection.on('close', () => {
-            this.serverConnection = null;
-            this.close();
+            if (this.serverConnection === socket)
+                this.onServerClose('server disconnected');
         });
 
         return this.serverConnection;
     }
 
+    onServerClose(reason) {
+        this.serverConnection = null;
+
+        // The client is on its way to another server
+        if (this.redirect && this.redirect.isPending) {
+            this.resetSession();
+            return;
+        }
+
+        // The client may want to keep the session alive and reconnect later on
+        if (this.client && typeof this.client.onServerClose === 'function' && this.client.onServerClose(reason)) {
+            this.resetSession();
+            return;
+        }
+
+        this.close(reason);
+    }
+
+    onClientClose(client, reason) {
+        if (client !== this.client)
+            return;
+
+        if (this.redirect && this.redirect.isPending) {
+            this.client = null;
+            return;
+        }
+
+        this.close(reason);
+    }
+
+    // Moves this connection (and with it Dispatch, all modules and their state) to a new client and server
+    handoff(client, opt) {
+        const oldClient = this.client;
+        this.client = client;
+
+        if (oldClient && oldClient !== client)
+            oldClient.close('client redirected');
+
+        return this.reconnect(opt);
+    }
+
+    enableRedirect(opts) {
+        this.disableRedirect();
+        this.redirect = new ServerRedirect(this, opts);
+        return this.redirect;
+    }
+
+    disableRedirect() {
+        if (this.redirect) {
+            this.redirect.destructor();
+            this.redirect = null;
+        }
+    }
+
+    reconnect(opt = this.connectOptions) {
+        if (!this.dispatch)
+            throw new Error('cannot reconnect a closed connection');
+
+        const { serverConnection } = this;
+        if (serverConnection) {
+            this.serverConnection = null;
+            serverConnection.destroy();
+        }
+
+        this.resetSession();
+        return this.connect(this.client, opt);
+    }
+
+    // Updates the handshake state and notifies listeners about it
+    setState(state) {
+        this.state = state;
+        this.emitEvent('handshake', state);
+    }
+
+    emitEvent(event, ...args) {
+        if (event !== 'error' || this.listenerCount('error') > 0)
+            this.emit(event, ...args);
+        else
+            log.error(`[connection] ${args[0] && args[0].message}`);
+
+        if (this.dispatch)
+            this.dispatch.emitEvent(event, ...args);
+    }
+
+    startCapture(output) {
+        this.stopCapture();
+        this.recorder = new CaptureRecorder(output, this.metadata);
+        return this.recorder;
+    }
+
+    stopCapture() {
+        if (this.recorder) {
+            this.recorder.close();
+            this.recorder = null;
+        }
+    }
+
+    enableIntegrityAudit() {
+        if (!this.integrityAudit)
+            this.integrityAudit = new IntegrityAudit(this);
+        return this.integrityAudit;
+    }
+
+    disableIntegrityAudit() {
+        if (this.integrityAudit) {
+            this.integrityAudit.destructor();
+            this.integrityAudit = null;
+        }
+    }
+
     setClientKey(key) {
         if (key.length !== 128) {
             throw new Error('key length != 128');
@@ -125,25 +335,34 @@ class Connection {
 
     sendServer(data) {
         if (this.serverConnection && !this.serverConnection.destroyed) {
-            if (this.state === 2) {
-                if (this.integrity) {
-                    const code = data.readUInt16LE(2);
+            // Anything but the keys (see setClientKey) would corrupt the handshake
+            if (this.state !== 2) {
+                log.warn(`[connection] dropped packet ${this.dispatch.protocolMap.code.get(data.readUInt16LE(2)) || data.readUInt16LE(2)} sent before the session with the server was established`);
+                return;
+            }
 
-                    if (this.dispatch.protocolMap.padding[code])
-                        this.integrity.apply(data, code);
-                }
+            if (this.integrity) {
+                const code = data.readUInt16LE(2);
 
-                data = this.builder(data);
-                this.session.applyToServer(data);
+                if (this.dispatch.protocolMap.padding[code])
+                    this.integrity.apply(data, code);
             }
 
+            data = this.builder(data);
+            this.session.applyToServer(data);
+
             this.serverConnection.write(data);
         }
     }
 
-    close() {
+    close(reason = 'closed') {
+        const wasClosed = this.state === 3;
         this.state = 3;
 
+        // Notify before tearing everything down, so that listeners can still clean up
+        if (!wasClosed)
+            this.emitEvent('close', reason);
+
         if (this.serverConnection) {
             this.serverConnection.end();
             this.serverConnection.unref();
@@ -156,11 +375,16 @@ class Connection {
             client.close();
         }
 
+        this.disableRedirect();
+
         if (this.dispatch) {
             this.dispatch.destructor();
             this.dispatch = null;
         }
 
+        this.stopCapture();
+        this.disableIntegrityAudit();
+
         this.session = null;
         this.buffer = null;
         this.integrity = null;
@@ -1,11 +1,53 @@
-const padding = require('./data/padding.json');
+const fs = require('fs');
+const path = require('path');
+
+// { <protocolVersion>: Set(<name>) }
+const padding = {};
+
+// Paths already tried by loadDataPadding()
+const loadedFiles = new Set();
+
+function mergePadding(table) {
+    Object.entries(table).forEach(([protocolVersion, names]) => {
+        if (!Array.isArray(names))
+            throw TypeError(`[integrity] padding: entry for protocol version ${protocolVersion} must be an array`);
+
+        const packets = padding[protocolVersion] || (padding[protocolVersion] = new Set());
+        names.forEach(name => packets.add(name));
+    });
+}
+
+function loadPadding(file) {
+    mergePadding(JSON.parse(fs.readFileSync(file, 'utf8')));
+}
+
+// Loads the padding.json of a data folder if it exists. Each file is only read once,
+// no matter how many connections use the folder; returns whether it was read now.
+function loadDataPadding(dataFolder) {
+    const file = path.resolve(dataFolder, 'padding.json');
+    if (loadedFiles.has(file))
+        return false;
+
+    loadedFiles.add(file);
+    if (!fs.existsSync(file))
+        return false;
+
+    loadPadding(file);
+    return true;
+}
+
+function hasPaddingTable(protocolVersion) {
+    return !!padding[protocolVersion];
+}
 
 function hasPadding(protocolVersion, name) {
     const packets = padding[protocolVersion];
     if (packets) {
-        return packets.includes(name);
+        return packets.has(name);
     }
     return false;
 }
 
-module.exports = hasPadding;
+mergePadding(require('./data/padding.json'));
+
+module.exports = { hasPadding, hasPaddingTable, mergePadding, loadPadding, loadDataPadding };
@@ -1,4 +1,6 @@
 const PacketIntegrity = require('./packetIntegrity');
-const hasPadding = require('./hasPadding');
+const IntegrityAudit = require('./integrityAudit');
+const { hasPadding, hasPaddingTable, mergePadding, loadPadding, loadDataPadding } = require('./hasPadding');
+const { registerStrategy, findStrategy } = require('./strategies');
 
-module.exports = { PacketIntegrity, hasPadding };
+module.exports = { PacketIntegrity, IntegrityAudit, hasPadding, hasPaddingTable, mergePadding, loadPadding, loadDataPadding, registerStrategy, findStrategy };
@@ -0,0 +1,100 @@
+'use strict';
+
+const log = require('../../logger');
+
+const KINDS = ['badCounter', 'badHash', 'unknownPadded', 'unsignedInjected'];
+
+// Validates the counter and hash of every packet sent by the real client
+// before the proxy re-signs it, and checks packets injected by modules.
+class IntegrityAudit {
+    constructor(connection) {
+        this.connection = connection;
+        this.counters = new Map();
+        this.observedPadded = new Set();
+        this.stats = new Map();
+
+        // Runs before any other hook, so the packet is still exactly what the client sent
+        this.hook = connection.dispatch.hook(null, '*', 'raw', { order: -Infinity, filter: { fake: null, incoming: false } }, (code, data, incoming, fake) => {
+            this.check(code, data, fake);
+        });
+    }
+
+    destructor() {
+        if (this.connection.dispatch)
+            this.connection.dispatch.unhook(this.hook);
+        this.hook = null;
+    }
+
+    // A new session (e.g. after a redirect) starts counting from the beginning again
+    reset() {
+        this.counters.clear();
+        this.observedPadded.clear();
+    }
+
+    check(code, data, fake) {
+        const { integrity, dispatch } = this.connection;
+        if (!integrity || !dispatch)
+            return;
+
+        const padded = dispatch.protocolMap.padding[code];
+
+        if (fake) {
+            // Will be sent without counter and hash since the padding table does not know about it
+            if (!padded && this.observedPadded.has(code))
+                this.report(code, 'unsignedInjected');
+            return;
+        }
+
+        if (data.length < 12)
+            return;
+
+        const counter = integrity.strategy.counter === 'global' ? -1 : code;
+        const count = data.readUInt32LE(4);
+        const expected = (this.counters.get(counter) || 0) + 1;
+
+        if (!padded) {
+            // The null IV shim always hashes to 0, so this can only be detected with a real seed
+            if (integrity.iv != null && count === expected && integrity.validate(data)) {
+                this.counters.set(counter, count);
+                this.observedPadded.add(code);
+                this.report(code, 'unknownPadded');
+            }
+            return;
+        }
+
+        this.counters.set(counter, count);
+
+        if (count !== expected)
+            this.report(code, 'badCounter', `expected ${expected}, got ${count}`);
+        else if (!integrity.validate(data))
+            this.report(code, 'badHash');
+        else
+            this.getStats(code).ok++;
+    }
+
+    getStats(code) {
+        let stats = this.stats.get(code);
+        if (!stats) {
+            stats = { code, name: this.connection.dispatch.protocolMap.code.get(code) || null, ok: 0 };
+            KINDS.forEach(kind => { stats[kind] = 0; });
+            this.stats.set(code, stats);
+        }
+        return stats;
+    }
+
+    report(code, kind, details) {
+        const stats = this.getStats(code);
+
+        // Only log the first occurrence per opcode and kind
+        if (stats[kind]++ === 0) {
+            const name = stats.name || `(opcode ${code})`;
+            log.warn(`[integrity] audit: ${kind} for ${name}${details ? ` (${details})` : ''}`);
+        }
+    }
+
+    getReport() {
+        return [...this.stats.values()].map(stats => Object.assign({}, stats));
+    }
+}
+
+module.exports = IntegrityAudit;
@@ -1,8 +1,12 @@
 'use strict';
 
+const { findStrategy } = require('./strategies');
+
 class PacketIntegrity {
-    constructor(iv) {
+    constructor(iv, strategy = findStrategy(Infinity)) {
         this.iv = iv;
+        this.strategy = strategy;
+        this.counter = 0;
         this.counters = [];
 
         for (let i = 0; i < 0x10000; i++)
@@ -12,36 +16,13 @@ class PacketIntegrity {
     calc(data, opcode, count) {
         const { iv } = this;
 
-        if (iv == null) return 0; // Patch 92 shim - server checks are disabled via hotfix 92.04
-
-        let res = 0;
-        for (let i = 0, acc = iv; i < data.length; i++) {
-            if (i - 8 >>> 0 < 4) continue; // Skip hash placeholder
-
-            switch ((acc += i) % 5) {
-                case 0:
-                    res += (-iv + opcode + count + i) ^ (data[i] << i % 3);
-                    break;
-                case 1:
-                    res += (iv + opcode + count + i) & (data[i] << (i & 3));
-                    break;
-                case 2:
-                    res += (-2*iv + opcode + count + i) | (data[i] << (i & 1));
-                    break;
-                case 3:
-                    res += (2*iv + -opcode + count + i) ^ (data[i] << i % 3);
-                    break;
-                case 4:
-                    res += (iv + opcode + count) ^ (data[i] << i % 3);
-                    break;
-            }
-        }
-
-        return res >>> 0;
+        if (iv == null) return 0; // No seed, nothing to hash with
+
+        return this.strategy.calc(iv, data, opcode, count) >>> 0;
     }
 
     apply(data, opcode) {
-        let count = ++this.counters[opcode];
+        let count = this.strategy.counter === 'global' ? ++this.counter : ++this.counters[opcode];
 
         data.writeUInt32LE(count >>> 0, 4); // Must be written first (affects hash output)
         data.writeUInt32LE(this.calc(data, opcode, count), 8);
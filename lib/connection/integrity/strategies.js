@@ -0,0 +1,101 @@
+'use strict';
+
+// Integrity strategies:
+// [ { name: <string>
+//   , minPatch: <first majorPatchVersion>, maxPatch: <last majorPatchVersion>
+//   , protocolVersions: <optional array of protocol versions to restrict to>
+//   , seed: <null, or { name, version, field } of the server packet holding the IV>
+//   , iv: <fixed IV used if there is no seed, default null (no hashing)>
+//   , calc: <function(iv, data, opcode, count) returning the hash>
+//   , counter: <'opcode' for one counter per opcode, 'global' for one counter shared by all opcodes>
+//   }
+// ]
+const strategies = [];
+
+function registerStrategy(strategy) {
+    const { name } = strategy;
+
+    if (typeof name !== 'string' || !name)
+        throw TypeError('[integrity] register: name is required');
+    if (typeof strategy.calc !== 'function')
+        throw TypeError(`[integrity] register: ${name}: calc must be a function`);
+    if (strategy.seed && (!strategy.seed.name || strategy.seed.version === undefined || !strategy.seed.field))
+        throw TypeError(`[integrity] register: ${name}: seed must specify name, version and field`);
+
+    strategy = Object.assign({
+        minPatch: -Infinity,
+        maxPatch: Infinity,
+        protocolVersions: null,
+        seed: null,
+        iv: null,
+        counter: 'opcode',
+    }, strategy);
+
+    if (strategy.counter !== 'opcode' && strategy.counter !== 'global')
+        throw TypeError(`[integrity] register: ${name}: invalid counter "${strategy.counter}"`);
+
+    const index = strategies.findIndex(s => s.name === name);
+    if (index !== -1)
+        strategies.splice(index, 1);
+    strategies.push(strategy);
+}
+
+// Strategies registered later take precedence over earlier ones
+function findStrategy(majorPatchVersion, protocolVersion) {
+    for (let i = strategies.length - 1; i >= 0; i--) {
+        const strategy = strategies[i];
+
+        if (majorPatchVersion < strategy.minPatch || majorPatchVersion > strategy.maxPatch)
+            continue;
+        if (strategy.protocolVersions && !strategy.protocolVersions.includes(protocolVersion))
+            continue;
+
+        return strategy;
+    }
+
+    return null;
+}
+
+function calcPatch100(iv, data, opcode, count) {
+    let res = 0;
+    for (let i = 0, acc = iv; i < data.length; i++) {
+        if (i - 8 >>> 0 < 4) continue; // Skip hash placeholder
+
+        switch ((acc += i) % 5) {
+            case 0:
+                res += (-iv + opcode + count + i) ^ (data[i] << i % 3);
+                break;
+            case 1:
+                res += (iv + opcode + count + i) & (data[i] << (i & 3));
+                break;
+            case 2:
+                res += (-2*iv + opcode + count + i) | (data[i] << (i & 1));
+                break;
+            case 3:
+                res += (2*iv + -opcode + count + i) ^ (data[i] << i % 3);
+                break;
+            case 4:
+                res += (iv + opcode + count) ^ (data[i] << i % 3);
+                break;
+        }
+    }
+
+    return res >>> 0;
+}
+
+// Patch 92 shim - server checks are disabled via hotfix 92.04
+registerStrategy({
+    name: 'patch92',
+    minPatch: 92,
+    maxPatch: 99,
+    calc: () => 0,
+});
+
+registerStrategy({
+    name: 'patch100',
+    minPatch: 100,
+    seed: { name: 'S_LOGIN_ACCOUNT_INFO', version: 3, field: 'antiCheatChecksumSeed' },
+    calc: calcPatch100,
+});
+
+module.exports = { registerStrategy, findStrategy };
@@ -0,0 +1,91 @@
+const log = require('../logger');
+
+class Module {
+    constructor(dispatch, name) {
+        this.dispatch = dispatch;
+        this.name = name;
+        this.instance = null;
+        this.eventListeners = [];
+        this.log = log.child(name);
+    }
+
+    get global() {
+        return this.dispatch.global;
+    }
+
+    hook(...args) {
+        return this.dispatch.hook(this.name, ...args);
+    }
+
+    hookOnce(...args) {
+        return this.dispatch.hookOnce(this.name, ...args);
+    }
+
+    waitFor(...args) {
+        return this.dispatch.waitFor(this.name, ...args);
+    }
+
+    request(...args) {
+        return this.dispatch.request(this.name, ...args);
+    }
+
+    unhook(hook) {
+        return this.dispatch.unhook(hook);
+    }
+
+    on(event, listener) {
+        this.dispatch.on(event, listener);
+        this.eventListeners.push({ event, listener });
+        return this;
+    }
+
+    once(event, listener) {
+        const wrapped = (...args) => {
+            this.off(event, wrapped);
+            listener(...args);
+        };
+        return this.on(event, wrapped);
+    }
+
+    off(event, listener) {
+        this.dispatch.removeListener(event, listener);
+        this.eventListeners = this.eventListeners.filter(l => l.event !== event || l.listener !== listener);
+        return this;
+    }
+
+    removeAllListeners() {
+        for (const { event, listener } of this.eventListeners)
+            this.dispatch.removeListener(event, listener);
+        this.eventListeners = [];
+    }
+
+    toClient(...args) {
+        return this.dispatch.write(false, ...args);
+    }
+
+    toServer(...args) {
+        return this.dispatch.write(true, ...args);
+    }
+
+    scheduleToClient(...args) {
+        return this.dispatch.schedule(this.name, false, ...args);
+    }
+
+    scheduleToServer(...args) {
+        return this.dispatch.schedule(this.name, true, ...args);
+    }
+
+    createCancelToken() {
+        return this.dispatch.createCancelToken();
+    }
+
+    parseSystemMessage(...args) {
+        return this.dispatch.parseSystemMessage(...args);
+    }
+
+    buildSystemMessage(...args) {
+        return this.dispatch.buildSystemMessage(...args);
+    }
+}
+
+module.exports = Module;
@@ -0,0 +1,107 @@
+const events = require('events');
+
+const PHASES = ['parse', 'clone', 'callback', 'write'];
+
+function createEntry() {
+    return { calls: 0, parse: 0, clone: 0, callback: 0, write: 0, total: 0, max: 0, invalidations: 0 };
+}
+
+// Converts an entry from nanoseconds to milliseconds
+function toReport(entry) {
+    const report = Object.assign({}, entry);
+    for (const key of [...PHASES, 'total', 'max'])
+        report[key] = entry[key] / 1e6;
+    return report;
+}
+
+// Measures the time spent in Dispatch#handle per hook, aggregated per module and opcode.
+// Emits `report` every `interval` milliseconds if one is given.
+class Profiler extends events.EventEmitter {
+    constructor(dispatch, opts = {}) {
+        super();
+        this.dispatch = dispatch;
+        this.interval = opts.interval || 0;
+        this.resetOnReport = opts.reset !== false;
+        this.timer = null;
+        this.reset();
+
+        if (this.interval > 0) {
+            this.timer = setInterval(() => {
+                this.emit('report', this.getReport());
+                if (this.resetOnReport)
+                    this.reset();
+            }, this.interval);
+            this.timer.unref();
+        }
+    }
+
+    destructor() {
+        if (this.timer) {
+            clearInterval(this.timer);
+            this.timer = null;
+        }
+        this.removeAllListeners();
+    }
+
+    reset() {
+        this.since = Date.now();
+        this.modules = new Map();
+        this.opcodes = new Map();
+    }
+
+    now() {
+        return process.hrtime.bigint();
+    }
+
+    getEntries(hook, code) {
+        const moduleName = hook.moduleName === null ? '(proxy)' : hook.moduleName;
+
+        let moduleEntry = this.modules.get(moduleName);
+        if (!moduleEntry)
+            this.modules.set(moduleName, moduleEntry = createEntry());
+
+        let opcodeEntry = this.opcodes.get(code);
+        if (!opcodeEntry)
+            this.opcodes.set(code, opcodeEntry = createEntry());
+
+        return [moduleEntry, opcodeEntry];
+    }
+
+    // Adds the time elapsed since `start` (minus `excluded` nanoseconds already recorded
+    // for another phase) to the given phase of a hook, and returns it
+    record(hook, code, phase, start, excluded = 0) {
+        const elapsed = Number(this.now() - start) - excluded;
+
+        for (const entry of this.getEntries(hook, code)) {
+            entry[phase] += elapsed;
+            entry.total += elapsed;
+            if (phase === 'callback') {
+                entry.calls++;
+                if (elapsed > entry.max)
+                    entry.max = elapsed;
+            }
+        }
+
+        return elapsed;
+    }
+
+    // Counts a hook modifying the packet, which forces later hooks to parse it again
+    invalidated(hook, code) {
+        for (const entry of this.getEntries(hook, code))
+            entry.invalidations++;
+    }
+
+    getReport() {
+        const byTotal = (a, b) => b.total - a.total;
+        const { protocolMap } = this.dispatch;
+
+        return {
+            since: this.since,
+            duration: Date.now() - this.since,
+            modules: [...this.modules].map(([name, entry]) => Object.assign({ name }, toReport(entry))).sort(byTotal),
+            opcodes: [...this.opcodes].map(([code, entry]) => Object.assign({ code, name: protocolMap.code.get(code) || null }, toReport(entry))).sort(byTotal),
+        };
+    }
+}
+
+module.exports = Profiler;
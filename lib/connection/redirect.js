@@ -0,0 +1,100 @@
+const net = require('net');
+const log = require('../logger');
+
+// Follows the client to another game server within the same Connection.
+// The redirect packet is rewritten to point to a local endpoint; once the client
+// connects there, the Connection is handed over to the new client socket and the
+// real target server, keeping Dispatch with all modules and their state.
+class ServerRedirect {
+    constructor(connection, opts = {}) {
+        const { name, version = '*', getTarget, setTarget, host = '127.0.0.1', publicHost = host, timeout = 30000 } = opts;
+
+        if (!name)
+            throw TypeError('[redirect] name is required');
+        if (typeof getTarget !== 'function' || typeof setTarget !== 'function')
+            throw TypeError('[redirect] getTarget and setTarget must be functions');
+
+        this.connection = connection;
+        this.getTarget = getTarget;
+        this.setTarget = setTarget;
+        this.publicHost = publicHost;
+        this.timeout = timeout;
+        this.pending = null;
+        this.timer = null;
+        this.port = null;
+
+        this.server = net.createServer(socket => this.onClient(socket));
+        this.server.on('error', (err) => {
+            log.error(`[redirect] local endpoint error: ${err.message}`);
+        });
+        this.server.listen(0, host, () => {
+            this.port = this.server.address().port;
+        });
+
+        // Run after all other hooks, so that modules still see the real target
+        this.hook = connection.dispatch.hook(null, name, version, { order: Infinity, filter: { incoming: true } }, (event) => {
+            if (this.port === null) {
+                log.warn('[redirect] local endpoint not ready yet, letting client connect to the target directly');
+                return;
+            }
+
+            this.setPending(this.getTarget(event));
+            this.setTarget(event, { host: this.publicHost, port: this.port });
+            return true;
+        });
+    }
+
+    get isPending() { return this.pending !== null; }
+
+    setPending(target) {
+        this.clearPending();
+        this.pending = target;
+
+        if (this.timeout > 0) {
+            this.timer = setTimeout(() => {
+                this.timer = null;
+                this.pending = null;
+
+                const { connection } = this;
+                if (!connection.client || !connection.serverConnection)
+                    connection.close('redirect timed out');
+            }, this.timeout);
+        }
+    }
+
+    clearPending() {
+        this.pending = null;
+        if (this.timer) {
+            clearTimeout(this.timer);
+            this.timer = null;
+        }
+    }
+
+    onClient(socket) {
+        const target = this.pending;
+        if (!target || !this.connection.dispatch) {
+            socket.destroy();
+            return;
+        }
+
+        this.clearPending();
+
+        // required here to avoid a circular dependency
+        const RealClient = require('../clients/RealClient');
+
+        socket.setNoDelay(true);
+        this.connection.handoff(new RealClient(this.connection, socket), target);
+    }
+
+    destructor() {
+        this.clearPending();
+
+        if (this.connection.dispatch)
+            this.connection.dispatch.unhook(this.hook);
+        this.hook = null;
+
+        this.server.close();
+    }
+}
+
+module.exports = ServerRedirect;
@@ -0,0 +1,267 @@
+// Cancels every scheduled packet it was passed to
+class CancelToken {
+    constructor() {
+        this.cancelled = false;
+        this.listeners = new Set();
+    }
+
+    cancel() {
+        if (this.cancelled)
+            return;
+
+        this.cancelled = true;
+        for (const listener of [...this.listeners])
+            listener();
+        this.listeners.clear();
+    }
+}
+
+// Packets injected by modules into one direction, sent through Dispatch#write once
+// their delay has passed and the rate limit of their opcode allows it. Packets which
+// are due at the same time are sent by priority (higher first), then in order.
+class SendQueue {
+    constructor(dispatch, outgoing) {
+        this.dispatch = dispatch;
+        this.outgoing = outgoing;
+        this.entries = [];
+        this.rateLimits = new Map();
+        this.nextId = 1;
+        this.timer = null;
+        this.wakeAt = null;
+        this.waking = false;
+        this.pauses = 0;
+    }
+
+    destructor() {
+        this.clear();
+        this.rateLimits.clear();
+    }
+
+    getCode(name) {
+        if (Buffer.isBuffer(name))
+            return name.readUInt16LE(2);
+
+        const code = this.dispatch.protocolMap.name.get(name);
+        if (code === null || typeof code === 'undefined')
+            throw Error(`unmapped packet "${name}"`);
+        return code;
+    }
+
+    // Holds back all packets until resume() was called as often as pause()
+    pause() {
+        this.pauses++;
+        this.wake();
+    }
+
+    resume() {
+        if (this.pauses > 0 && --this.pauses === 0)
+            this.wake();
+    }
+
+    get paused() { return this.pauses > 0; }
+
+    // Allows at most `count` packets of the given name to be sent within `interval` milliseconds
+    setRateLimit(name, limit) {
+        const code = this.getCode(name);
+
+        if (!limit) {
+            this.rateLimits.delete(code);
+        } else {
+            if (!(limit.count > 0) || !(limit.interval > 0))
+                throw TypeError('rate limit requires a positive count and interval');
+
+            const previous = this.rateLimits.get(code);
+            this.rateLimits.set(code, { count: limit.count, interval: limit.interval, sent: previous ? previous.sent : [] });
+        }
+
+        this.wake();
+    }
+
+    // Earliest time at which another packet with the given opcode may be sent
+    allowedAt(code, now) {
+        const limit = this.rateLimits.get(code);
+        if (!limit)
+            return now;
+
+        while (limit.sent.length > 0 && limit.sent[0] + limit.interval <= now)
+            limit.sent.shift();
+
+        return limit.sent.length < limit.count ? now : limit.sent[0] + limit.interval;
+    }
+
+    schedule(moduleName, name, version, data, opts = {}) {
+        if (Buffer.isBuffer(name)) {
+            opts = version || {};
+            version = undefined;
+            data = undefined;
+        }
+
+        const { delay = 0, priority = 0, token = null } = opts;
+        const entry = {
+            id: this.nextId++,
+            moduleName,
+            code: this.getCode(name),
+            name,
+            version,
+            data,
+            priority,
+            due: Date.now() + delay,
+            token,
+            resolve: null,
+            onCancel: null,
+        };
+
+        const promise = new Promise((resolve) => { entry.resolve = resolve; });
+        const handle = {
+            id: entry.id,
+            promise,
+            cancel: () => this.remove(entry),
+        };
+
+        if (token) {
+            if (token.cancelled) {
+                entry.resolve(null);
+                return handle;
+            }
+
+            entry.onCancel = () => this.remove(entry);
+            token.listeners.add(entry.onCancel);
+        }
+
+        this.entries.push(entry);
+        this.wake();
+        return handle;
+    }
+
+    remove(entry) {
+        const index = this.entries.indexOf(entry);
+        if (index === -1)
+            return false;
+
+        this.entries.splice(index, 1);
+        if (entry.token)
+            entry.token.listeners.delete(entry.onCancel);
+        entry.resolve(null);
+
+        this.wake();
+        return true;
+    }
+
+    // Drops all pending packets, or only those of one module
+    clear(moduleName = null) {
+        for (const entry of [...this.entries]) {
+            if (moduleName === null || entry.moduleName === moduleName) {
+                this.entries.splice(this.entries.indexOf(entry), 1);
+                if (entry.token)
+                    entry.token.listeners.delete(entry.onCancel);
+                entry.resolve(null);
+            }
+        }
+
+        this.wake();
+    }
+
+    // Sends everything that is due and schedules the timer for the next packet
+    wake() {
+        // Packets scheduled or cancelled while sending are picked up by the running loop
+        if (this.waking)
+            return;
+
+        if (this.timer) {
+            clearTimeout(this.timer);
+            this.timer = null;
+        }
+        this.wakeAt = null;
+
+        if (this.pauses > 0)
+            return;
+
+        let now = Date.now();
+        for (;;) {
+            let next = null;
+            let nextAt = Infinity;
+
+            for (const entry of this.entries) {
+                const at = Math.max(entry.due, this.allowedAt(entry.code, now));
+                if (at > now) {
+                    nextAt = Math.min(nextAt, at);
+                    continue;
+                }
+
+                if (!next || entry.priority > next.priority || (entry.priority === next.priority && (entry.due < next.due || (entry.due === next.due && entry.id < next.id))))
+                    next = entry;
+            }
+
+            if (!next) {
+                if (nextAt !== Infinity) {
+                    this.wakeAt = nextAt;
+                    this.timer = setTimeout(() => {
+                        this.timer = null;
+                        this.wake();
+                    }, nextAt - now);
+                }
+                return;
+            }
+
+            this.waking = true;
+            try {
+                this.send(next, now);
+            } finally {
+                this.waking = false;
+            }
+            now = Date.now();
+        }
+    }
+
+    send(entry, now) {
+        this.entries.splice(this.entries.indexOf(entry), 1);
+        if (entry.token)
+            entry.token.listeners.delete(entry.onCancel);
+
+        const limit = this.rateLimits.get(entry.code);
+        if (limit)
+            limit.sent.push(now);
+
+        let result = false;
+        try {
+            result = Buffer.isBuffer(entry.name)
+                ? this.dispatch.write(this.outgoing, entry.name)
+                : this.dispatch.write(this.outgoing, entry.name, entry.version, entry.data);
+        } catch (e) {
+            this.dispatch.getModuleLog(entry.moduleName).error({
+                module: entry.moduleName,
+                error: e.message,
+            }, '[dispatch] schedule: failed to send scheduled packet');
+        }
+
+        entry.resolve(result);
+    }
+
+    getState() {
+        const now = Date.now();
+
+        return {
+            outgoing: this.outgoing,
+            paused: this.pauses > 0,
+            nextSend: this.wakeAt === null ? null : this.wakeAt - now,
+            pending: this.entries.map(entry => ({
+                id: entry.id,
+                moduleName: entry.moduleName,
+                name: this.dispatch.protocolMap.code.get(entry.code) || null,
+                code: entry.code,
+                priority: entry.priority,
+                delay: Math.max(0, entry.due - now),
+                rateLimited: this.allowedAt(entry.code, now) > now,
+            })),
+            rateLimits: [...this.rateLimits].map(([code, limit]) => ({
+                name: this.dispatch.protocolMap.code.get(code) || null,
+                code,
+                count: limit.count,
+                interval: limit.interval,
+                recent: limit.sent.length,
+            })),
+        };
+    }
+}
+
+module.exports = { SendQueue, CancelToken };
@@ -1,5 +1,11 @@
 const Connection = require('./connection');
 const FakeClient = require('./clients/FakeClient');
 const RealClient = require('./clients/RealClient');
+const MockServer = require('./servers/MockServer');
+const ProxyServer = require('./servers/ProxyServer');
+const { registerPlatform, getPlatform } = require('./platforms');
+const { registerStrategy: registerIntegrityStrategy, mergePadding, loadPadding } = require('./connection/integrity');
+const logger = require('./logger');
+const { CaptureRecorder, CaptureReplay, StreamDecoder, decodeStreams, readCapture } = require('./capture');
 
-module.exports = { Connection, FakeClient, RealClient };
+module.exports = { Connection, FakeClient, RealClient, MockServer, ProxyServer, registerPlatform, getPlatform, registerIntegrityStrategy, mergePadding, loadPadding, CaptureRecorder, CaptureReplay, StreamDecoder, decodeStreams, readCapture, logger };
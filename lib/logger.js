@@ -1,8 +1,150 @@
-module.exports = {
-  trace: function(...args) { if (global.TeraProxy.DevMode) console.log(...args); },
-  debug: function(...args) { if (global.TeraProxy.DevMode) console.log(...args); },
-  info: function(...args) { console.log(...args); },
-  warn: function(...args) { console.warn(...args); },
-  error: function(...args) { console.error(...args); },
-  fatal: function(...args) { console.error(...args); },
+const util = require('util');
+
+const LEVELS = {
+  trace: 10,
+  debug: 20,
+  info: 30,
+  warn: 40,
+  error: 50,
+  fatal: 60,
 };
+
+// Fields set by the logger itself, which cannot be overwritten by the fields of a call
+const RECORD_FIELDS = new Set(['time', 'level', 'name', 'msg']);
+
+// Fields which only add context for structured consumers; the text format
+// already contains them in the message or prefix.
+const CONTEXT_FIELDS = new Set(['time', 'level', 'name', 'msg', 'module', 'packet', 'code']);
+
+function isPlainObject(value) {
+  if (value === null || typeof value !== 'object') return false;
+  const proto = Object.getPrototypeOf(value);
+  return proto === Object.prototype || proto === null;
+}
+
+function formatValue(value) {
+  return typeof value === 'string' ? value : util.inspect(value);
+}
+
+function formatText(record) {
+  const lines = [record.name ? `[${record.name}] ${record.msg}` : record.msg];
+
+  for (const key of Object.keys(record)) {
+    if (CONTEXT_FIELDS.has(key) || key === 'stack' || record[key] === undefined) continue;
+    lines.push(`${key}: ${formatValue(record[key])}`);
+  }
+
+  if (record.stack) lines.push(record.stack);
+  return lines.join('\n');
+}
+
+function formatJson(record) {
+  return JSON.stringify(record, (key, value) => (typeof value === 'bigint' ? value.toString() : value));
+}
+
+function consoleTransport(record, logger) {
+  const output = logger.root.json ? formatJson(record) : formatText(record);
+
+  if (LEVELS[record.level] >= LEVELS.error) console.error(output);
+  else if (LEVELS[record.level] >= LEVELS.warn) console.warn(output);
+  else console.log(output);
+}
+
+class Logger {
+  constructor(name = null, parent = null) {
+    this.name = name;
+    this.parent = parent;
+    this.root = parent ? parent.root : this;
+
+    if (!parent) {
+      this.level = null;
+      this.json = false;
+      this.transports = [consoleTransport];
+      this.levels = new Map();
+    }
+
+    for (const level of Object.keys(LEVELS)) this[level] = (...args) => this.log(level, ...args);
+  }
+
+  // Returns a logger whose records are tagged (and prefixed) with the given name
+  child(name) {
+    return new Logger(this.name ? `${this.name}:${name}` : name, this);
+  }
+
+  configure({ level, json, transports } = {}) {
+    const { root } = this;
+    if (level !== undefined) root.setLevel(level);
+    if (json !== undefined) root.json = !!json;
+    if (transports !== undefined) root.transports = [...transports];
+    return this;
+  }
+
+  // Sets the minimum level globally or, if a name is given, for that (child) logger only
+  setLevel(level, name = null) {
+    if (level !== null && !(level in LEVELS)) throw new TypeError(`unknown log level "${level}"`);
+
+    const { root } = this;
+    if (name === null) root.level = level;
+    else if (level === null) root.levels.delete(name);
+    else root.levels.set(name, level);
+    return this;
+  }
+
+  getLevel() {
+    const { root } = this;
+    if (this.name !== null && root.levels.has(this.name)) return root.levels.get(this.name);
+    if (root.level !== null) return root.level;
+    return global.TeraProxy && global.TeraProxy.DevMode ? 'trace' : 'info';
+  }
+
+  isLevelEnabled(level) {
+    return LEVELS[level] >= LEVELS[this.getLevel()];
+  }
+
+  addTransport(transport) {
+    this.root.transports.push(transport);
+    return this;
+  }
+
+  removeTransport(transport) {
+    const { root } = this;
+    root.transports = root.transports.filter(t => t !== transport);
+    return this;
+  }
+
+  // log(level, [fields], ...args): a plain object followed by further arguments
+  // is merged into the record (except for the fields set by the logger); the
+  // remaining arguments are formatted like console.log
+  log(level, ...args) {
+    if (!this.isLevelEnabled(level)) return;
+
+    let fields = null;
+    if (args.length > 1 && isPlainObject(args[0])) fields = args.shift();
+
+    const record = { time: new Date().toISOString(), level };
+    if (this.name) record.name = this.name;
+    record.msg = util.format(...args);
+    if (fields) {
+      for (const key of Object.keys(fields)) {
+        if (!RECORD_FIELDS.has(key)) record[key] = fields[key];
+      }
+    }
+
+    for (const transport of this.root.transports) {
+      try {
+        transport(record, this);
+      } catch (e) {
+        console.error(`[logger] transport failed: ${e.message}`);
+      }
+    }
+  }
+}
+
+const logger = new Logger();
+
+module.exports = logger;
+module.exports.Logger = Logger;
+module.exports.LEVELS = LEVELS;
+module.exports.formatText = formatText;
+module.exports.formatJson = formatJson;
+module.exports.consoleTransport = consoleTransport;
@@ -1,10 +1,23 @@
+const HEADER_SIZE = 4;
+
 class PacketBuffer {
-  constructor() {
+  constructor(maxSize = 0xFFFF) {
+    this.maxSize = maxSize;
     this.buffer = null;
     this.position = 0;
     this.out = [];
   }
 
+  // a size smaller than the header would make us loop forever or allocate garbage,
+  // so the stream cannot be trusted anymore
+  checkSize(size) {
+    if (size < HEADER_SIZE || size > this.maxSize) {
+      this.buffer = null;
+      this.position = 0;
+      throw new Error(`invalid packet size ${size}`);
+    }
+  }
+
   write(data) {
     // we'll chop off the front of `data` with each loop
     while (data.length > 0) {
@@ -15,6 +28,7 @@ class PacketBuffer {
           /* eslint-disable no-bitwise */
           const old = this.buffer[0];        // save old byte
           const size = (data[0] << 8) + old; // convert from little-endian
+          this.checkSize(size);              // validate
           this.buffer = Buffer.alloc(size);  // make new buffer
           this.buffer[0] = old;              // write old value
           this.position = 1;                 // update position
@@ -49,6 +63,7 @@ class PacketBuffer {
       // otherwise, read the size value, and if it's bigger than the size of the
       // data we have, we should save it in the buffer
       const size = data.readUInt16LE(0);
+      this.checkSize(size);
       if (size > data.length) {
         this.buffer = Buffer.alloc(size);
         data.copy(this.buffer);
@@ -0,0 +1,52 @@
+// Console clients wrap every packet into a frame with an additional 32-bit
+// little-endian header holding the size of the whole frame (header included).
+// Frames are unwrapped here, so the rest of the proxy only ever sees packets in
+// the same layout as on PC (16-bit size, 16-bit opcode, payload).
+const HEADER_SIZE = 4;
+const PACKET_HEADER_SIZE = 4;
+const MAX_PACKET_SIZE = 0xFFFF;
+
+class PacketBufferPS4 {
+  constructor() {
+    this.buffer = null;
+    this.out = [];
+  }
+
+  write(data) {
+    // prepend whatever was left over from the last chunk
+    if (this.buffer != null) {
+      data = Buffer.concat([this.buffer, data]);
+      this.buffer = null;
+    }
+
+    // we'll chop off the front of `data` with each complete frame
+    while (data.length >= HEADER_SIZE) {
+      const size = data.readUInt32LE(0);
+      if (size < HEADER_SIZE + PACKET_HEADER_SIZE || size - HEADER_SIZE > MAX_PACKET_SIZE)
+        throw new Error(`invalid frame size ${size}`);
+
+      // not enough data yet, wait for the next chunk
+      if (size > data.length)
+        break;
+
+      const packet = Buffer.from(data.slice(HEADER_SIZE, size));
+      if (packet.readUInt16LE(0) !== packet.length)
+        throw new Error(`packet size ${packet.readUInt16LE(0)} does not match frame size ${size}`);
+
+      this.out.push(packet);
+      data = data.slice(size);
+    }
+
+    // save the rest for later
+    if (data.length > 0)
+      this.buffer = Buffer.from(data);
+  }
+
+  read() {
+    return this.out.shift();
+  }
+}
+
+PacketBufferPS4.HEADER_SIZE = HEADER_SIZE;
+
+module.exports = PacketBufferPS4;
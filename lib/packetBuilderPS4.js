@@ -0,0 +1,10 @@
+const { HEADER_SIZE } = require('./packetBufferPS4');
+
+function PacketBuilderPS4(data) {
+  const frame = Buffer.allocUnsafe(HEADER_SIZE + data.length);
+  frame.writeUInt32LE(frame.length, 0);
+  data.copy(frame, HEADER_SIZE);
+  return frame;
+}
+
+module.exports = PacketBuilderPS4;
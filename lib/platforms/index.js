@@ -0,0 +1,46 @@
+const Encryption = require('../connection/encryption');
+const PacketBuffer = require('../packetBuffer');
+const PacketBuilder = require('../packetBuilder');
+const PacketBufferPS4 = require('../packetBufferPS4');
+const PacketBuilderPS4 = require('../packetBuilderPS4');
+
+const DEFAULT_PLATFORM = 'pc';
+
+// Platform descriptors:
+// { <name>:
+//   { name: <string>
+//   , PacketBuffer: <class implementing write(data) / read()>
+//   , PacketBuilder: <function(data) returning the framed packet>
+//   , handshake: { hello: <uint32 sent by the server before the key exchange> }
+//   , getCryptoConstants: <function(majorPatchVersion) returning the key shifts for Session>
+//   }
+// }
+const platforms = new Map();
+
+function registerPlatform(descriptor) {
+    const { name } = descriptor;
+
+    if (typeof name !== 'string' || !name)
+        throw TypeError('[platform] register: name is required');
+    if (typeof descriptor.PacketBuffer !== 'function')
+        throw TypeError(`[platform] register: ${name}: PacketBuffer must be a class`);
+    if (typeof descriptor.PacketBuilder !== 'function')
+        throw TypeError(`[platform] register: ${name}: PacketBuilder must be a function`);
+
+    platforms.set(name, Object.assign({
+        handshake: { hello: 1 },
+        getCryptoConstants: Encryption.getDefaultConstants,
+    }, descriptor));
+}
+
+function getPlatform(name = DEFAULT_PLATFORM) {
+    const platform = platforms.get(name || DEFAULT_PLATFORM);
+    if (!platform)
+        throw Error(`[platform] unknown platform "${name}"`);
+    return platform;
+}
+
+registerPlatform({ name: 'pc', PacketBuffer, PacketBuilder });
+registerPlatform({ name: 'ps4', PacketBuffer: PacketBufferPS4, PacketBuilder: PacketBuilderPS4 });
+
+module.exports = { registerPlatform, getPlatform };
@@ -0,0 +1,188 @@
+const crypto = require('crypto');
+const events = require('events');
+const net = require('net');
+const Dispatch = require('../connection/dispatch');
+const Encryption = require('../connection/encryption');
+const { getPlatform } = require('../platforms');
+
+const MODULE_NAME = 'mock-server';
+
+// Server side of a single connection. Acts as the connection of its own
+// Dispatch, so packets written to the "client" are sent through the socket.
+class MockSession extends events.EventEmitter {
+  constructor(server, socket) {
+    super();
+    this.server = server;
+    this.socket = socket;
+    this.metadata = server.metadata;
+
+    this.state = 0;
+    this.platform = getPlatform(this.metadata.platform);
+    this.session = new Encryption(this.metadata.protocolVersion, this.metadata.majorPatchVersion, this.platform.getCryptoConstants(this.metadata.majorPatchVersion));
+    this.session.serverKeys.forEach(key => crypto.randomBytes(128).copy(key));
+    this.handshake = Buffer.alloc(0);
+    this.buffer = new this.platform.PacketBuffer();
+    this.builder = this.platform.PacketBuilder;
+    this.received = [];
+
+    this.dispatch = new Dispatch(this);
+
+    socket.setNoDelay(true);
+    socket.on('data', data => this.onData(data));
+    socket.on('error', (err) => {
+      this.emitError(err);
+      this.close();
+    });
+    socket.on('close', () => {
+      this.socket = null;
+      this.close();
+    });
+
+    // hello
+    const hello = Buffer.alloc(4);
+    hello.writeUInt32LE(this.platform.handshake.hello, 0);
+    socket.write(hello);
+  }
+
+  onData(data) {
+    if (this.state < 2) {
+      this.handshake = Buffer.concat([this.handshake, data]);
+
+      while (this.state < 2 && this.handshake.length >= 128) {
+        this.handshake.copy(this.session.clientKeys[this.state], 0, 0, 128);
+        this.handshake = this.handshake.slice(128);
+        this.socket.write(Buffer.from(this.session.serverKeys[this.state]));
+        this.state++;
+      }
+
+      if (this.state < 2)
+        return;
+
+      this.session.init();
+      this.emit('encrypted');
+
+      data = this.handshake;
+      this.handshake = null;
+      if (data.length === 0)
+        return;
+    }
+
+    if (this.state !== 2)
+      return;
+
+    this.session.applyFromClient(data);
+
+    try {
+      this.buffer.write(data);
+    } catch (e) {
+      this.emitError(e);
+      this.close();
+      return;
+    }
+
+    // eslint-disable-next-line no-cond-assign
+    while (data = this.buffer.read()) {
+      const code = data.readUInt16LE(2);
+      const packet = { name: this.dispatch.protocolMap.code.get(code) || null, code, data: Buffer.from(data) };
+
+      this.received.push(packet);
+      this.emit('packet', packet);
+
+      if (this.dispatch)
+        this.dispatch.receive(data, false, false, () => {});
+    }
+  }
+
+  // Unhandled 'error' events would take down the whole process
+  emitError(err) {
+    if (this.listenerCount('error') > 0) this.emit('error', err);
+  }
+
+  // Used by Dispatch#write()
+  sendClient(data) {
+    if (this.state !== 2 || !this.socket || this.socket.destroyed)
+      return;
+
+    data = this.builder(data);
+    this.session.applyToClient(data);
+    this.socket.write(data);
+  }
+
+  send(...args) {
+    if (!this.dispatch)
+      return false;
+    return this.dispatch.write(false, ...args);
+  }
+
+  hook(...args) {
+    return this.dispatch.hook(MODULE_NAME, ...args);
+  }
+
+  waitFor(...args) {
+    return this.dispatch.waitFor(MODULE_NAME, ...args);
+  }
+
+  parse(packet, version = '*') {
+    return this.dispatch.fromRaw(packet.name, version, packet.data);
+  }
+
+  close() {
+    if (this.state === 3)
+      return;
+    this.state = 3;
+
+    if (this.socket) {
+      this.socket.end();
+      this.socket = null;
+    }
+
+    if (this.dispatch) {
+      this.dispatch.destructor();
+      this.dispatch = null;
+    }
+
+    this.server.sessions.delete(this);
+    this.emit('close');
+  }
+}
+
+class MockServer extends events.EventEmitter {
+  constructor(metadata) {
+    super();
+    this.metadata = metadata;
+    this.sessions = new Set();
+
+    this.server = net.createServer((socket) => {
+      const session = new MockSession(this, socket);
+      this.sessions.add(session);
+      this.emit('session', session);
+    });
+  }
+
+  listen(port = 0, host = '127.0.0.1') {
+    return new Promise((resolve, reject) => {
+      this.server.once('error', reject);
+      this.server.listen(port, host, () => {
+        this.server.removeListener('error', reject);
+        resolve(this.server.address());
+      });
+    });
+  }
+
+  address() {
+    return this.server.address();
+  }
+
+  nextSession() {
+    return new Promise(resolve => this.once('session', resolve));
+  }
+
+  close() {
+    for (const session of [...this.sessions])
+      session.close();
+
+    return new Promise(resolve => this.server.close(() => resolve()));
+  }
+}
+
+module.exports = MockServer;
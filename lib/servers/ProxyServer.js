@@ -0,0 +1,103 @@
+const events = require('events');
+const net = require('net');
+const Connection = require('../connection');
+const RealClient = require('../clients/RealClient');
+const log = require('../logger');
+
+// Context shared by all connections of a ProxyServer, exposed to modules as
+// `mod.global`. Modules can store state in `data` and talk to each other
+// across connections through its events.
+class GlobalContext extends events.EventEmitter {
+  constructor(server) {
+    super();
+    this.server = server;
+    this.data = new Map();
+  }
+
+  get connections() {
+    return [...this.server.connections];
+  }
+}
+
+// Accepts game clients on any number of local ports and proxies each of them
+// to the target server configured for that port.
+class ProxyServer extends events.EventEmitter {
+  constructor(metadata, options = {}) {
+    super();
+    this.metadata = metadata;
+    this.modules = options.modules || [];
+    this.redirect = options.redirect || null;
+    this.servers = new Set();
+    this.connections = new Set();
+    this.global = new GlobalContext(this);
+  }
+
+  listen(target, port = 0, host = '127.0.0.1') {
+    if (!target || !target.port) throw new TypeError('target must contain a port');
+
+    const server = net.createServer(socket => this.onConnection(socket, target));
+    this.servers.add(server);
+
+    return new Promise((resolve, reject) => {
+      server.once('error', (err) => {
+        this.servers.delete(server);
+        reject(err);
+      });
+      server.listen(port, host, () => {
+        server.removeAllListeners('error');
+        server.on('error', err => log.error(`[proxy] server error: ${err.message}`));
+        resolve(server.address());
+      });
+    });
+  }
+
+  onConnection(socket, target) {
+    socket.setNoDelay(true);
+
+    let connection = null;
+    const onClose = (reason) => {
+      this.connections.delete(connection);
+      this.emit('close', connection, reason);
+    };
+
+    try {
+      connection = new Connection(this.metadata);
+      const client = new RealClient(connection, socket);
+      connection.dispatch.global = this.global;
+
+      this.connections.add(connection);
+      connection.on('close', onClose);
+
+      connection.connect(client, { host: target.host, port: target.port });
+      if (this.redirect) connection.enableRedirect(this.redirect);
+
+      for (const mod of this.modules) {
+        if (typeof mod === 'string') connection.dispatch.load(mod);
+        else connection.dispatch.load(mod.name, mod.from, ...(mod.args || []));
+      }
+    } catch (e) {
+      // Only this client is dropped, the server keeps accepting connections
+      log.error({ error: e.message, stack: e.stack }, `[proxy] failed to set up connection to ${target.host || 'localhost'}:${target.port}`);
+
+      if (connection) {
+        this.connections.delete(connection);
+        connection.removeListener('close', onClose);
+        connection.close('setup failed');
+      }
+      socket.destroy();
+      return;
+    }
+
+    this.emit('connection', connection, target);
+  }
+
+  close() {
+    for (const connection of [...this.connections]) connection.close('proxy closed');
+
+    const servers = [...this.servers];
+    this.servers.clear();
+    return Promise.all(servers.map(server => new Promise(resolve => server.close(() => resolve()))));
+  }
+}
+
+module.exports = ProxyServer;